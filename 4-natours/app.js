@@ -1,35 +1,126 @@
+const crypto = require('node:crypto');
 const express = require('express');
-const morgan = require('morgan');
+const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
+const cookieParser = require('cookie-parser');
+
+// Import the validated configuration (see `config.js`)
+const config = require('./config');
+
+// Measure the duration of the database operations of all models (see `utils/queryTiming.js`)
+// Global plugins only apply to models that are created afterwards, so this must happen before
+// any model is imported (the controllers and routers below import them)
+const { queryTiming } = require('./utils/queryTiming');
+
+mongoose.plugin(queryTiming);
 
 // Import the global error handler function
 const globalErrorHandler = require('./controllers/errorController');
 
+// Import the middleware that looks up the API key of partner integrations
+const { authenticateApiKey } = require('./controllers/authController');
+
+// Import the logger, which is used instead of `console.log`
+const logger = require('./utils/logger');
+
+// Import the Prometheus metrics (see `utils/metrics.js`)
+const {
+  recordHttpRequest,
+  countRateLimitRejections,
+  requireMetricsToken,
+  sendMetrics,
+} = require('./utils/metrics');
+
 // Import the custom error class (AppError)
 const AppError = require('./utils/appError');
 
+// Import the liveness and readiness checks
+const { getLiveness, getReadiness } = require('./controllers/healthController');
+
 // Import router for tour-related routes (e.g., CRUD operations for tours)
 const tourRouter = require('./routes/tourRoutes');
 
 // Import router for user-related routes (e.g., user authentication and profile management)
 const userRouter = require('./routes/userRoutes');
 
+// Import router for review-related routes (e.g., creating and listing reviews of tours)
+const reviewRouter = require('./routes/reviewRoutes');
+
+// Import router for booking-related routes (e.g., booking a tour and cancelling a booking)
+const bookingRouter = require('./routes/bookingRoutes');
+
+// Import router for the API keys of partner integrations (admin only)
+const apiKeyRouter = require('./routes/apiKeyRoutes');
+
+// Import router for the metrics of the application (admin only)
+const metricsRouter = require('./routes/metricsRoutes');
+
 // Initialize the Express application
 const app = express();
 
+// Express reads the environment from NODE_ENV itself, so it's set from the config instead
+app.set('env', config.env);
+
+// Set to true by server.js when the server is shutting down, see `getReadiness`
+app.locals.shuttingDown = false;
+
 // 1) MIDDLEWARES
 
+// Give every request an id, which is sent back in the `X-Request-Id` header and added to all
+// log lines of the request. If a proxy or the client already sent an id, it is used instead,
+// so a request can be followed through several services.
+// This must be the first middleware, so even rejected requests (e.g. rate limited) get an id.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id =
+    incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  // The route is added to the log lines of slow queries, see `utils/queryTiming.js`
+  const route = `${req.method} ${logger.redactUrl(req.originalUrl)}`;
+  logger.runWithRequestContext({ requestId: req.id, route }, next);
+});
+
+// Paths of the liveness and readiness checks (see `healthController.js`)
+const HEALTH_CHECK_PATHS = ['/healthz', '/readyz'];
+
+// Log every request when its response has been sent, with the method, status, duration etc.
+// Tokens in the url (e.g. /reset-password/<token>) are redacted.
+// The request is also recorded in the Prometheus metrics.
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    recordHttpRequest(req, res, Number(process.hrtime.bigint() - start) / 1e9);
+
+    // The health checks are requested every few seconds, so they are only logged for debugging
+    const level = HEALTH_CHECK_PATHS.includes(req.path) ? 'debug' : 'info';
+
+    logger[level]('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      url: logger.redactUrl(req.originalUrl),
+      statusCode: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      ip: req.ip,
+      userId: req.user ? req.user.id : undefined,
+    });
+  });
+
+  next();
+});
+
 // Set security http headers using helmet
 app.use(helmet());
 
-// Morgan middleware for logging HTTP request information (only in development mode)
-// This middleware logs details such as method, status, response time, etc., which helps with debugging.
-if (process.env.NODE_ENV === 'development') {
-  app.use(morgan('dev'));
-}
+// Look up the API key in the `X-API-Key` header (if any) before the rate limiters,
+// so that requests with a valid key (`req.apiKey`) are limited per key instead of per IP address
+app.use('/api', authenticateApiKey);
 
 // Rate Limiter function
 const limiter = rateLimit({
@@ -41,6 +132,12 @@ const limiter = rateLimit({
 
   // Custom response message sent when the limit is exceeded
   message: 'Too many requests from this IP address! Try again after an hour.',
+
+  // Requests with a valid API key are limited by the `apiKeyLimiter` below
+  skip: (req) => Boolean(req.apiKey),
+
+  // Count the rejected requests in the `rate_limit_rejections_total` metric
+  handler: countRateLimitRejections('ip'),
 });
 
 // Apply the rate limiter middleware to all routes that start with '/api'
@@ -50,12 +147,58 @@ const limiter = rateLimit({
 // - Ensure fair usage of your API resources by controlling request rates
 app.use('/api', limiter);
 
+// Rate limiter for requests with an API key
+// Every key has its own limit (`rateLimit` on the ApiKey model), independent of the IP addresses
+// the requests come from, e.g. a partner calling the API from several servers.
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey.id,
+  skip: (req) => !req.apiKey,
+  message: 'Too many requests with this API key! Try again after an hour.',
+  handler: countRateLimitRejections('api-key'),
+});
+
+app.use('/api', apiKeyLimiter);
+
+// Stricter rate limiter for the authentication routes
+// Guessing passwords or reset tokens only works with many requests, while a real user needs
+// just a few. Together with the account lockout on the User model this makes brute-force
+// attacks on a single account impractical, even when they are spread across many IPs.
+// Resending the verification email is limited as well, so it can't be used to flood inboxes.
+const authLimiter = rateLimit({
+  // Set the time window to 15 minutes
+  windowMs: 15 * 60 * 1000,
+
+  // Limit each IP address to a maximum of 10 requests per 15-minute window
+  limit: 10,
+
+  message:
+    'Too many login, password reset or email requests from this IP address! Try again later.',
+  handler: countRateLimitRejections('auth'),
+});
+
+app.use(
+  [
+    '/api/v1/users/login',
+    '/api/v1/users/forgot-password',
+    '/api/v1/users/reset-password',
+    '/api/v1/users/resend-verification',
+  ],
+  authLimiter
+);
+
 // Middleware to parse incoming JSON data from the request body
 // This allows us to access the parsed data via `req.body` in route handlers.
 // [LECTURE 144] Added the limit option to make sure that the size of the request object
 // does not exceed a certain amount. In this case, it is 30kb.
 app.use(express.json({ limit: '30kb' }));
 
+// Middleware to parse the cookies sent with the request
+// The parsed cookies are available as `req.cookies`. We need this to read the `jwt` cookie
+// in the `protectedRoute` middleware, so browsers can authenticate with the cookie alone.
+app.use(cookieParser());
+
 // Data sanitization against NoSQL query injection
 // We use `express-mongo-sanitize` package to sanitize the data
 // It searches for any keys in objects that begin with a $ sign or contain a ., from req.body,
@@ -113,6 +256,17 @@ app.use((req, res, next) => {
 
 // 3) ROUTES
 
+// Liveness and readiness checks for the container orchestrator or load balancer
+// They are not under /api, so they are not rate limited
+app.get('/healthz', getLiveness);
+app.get('/readyz', getReadiness);
+
+// Prometheus metrics, only if they are protected by a token (`METRICS_TOKEN`)
+// If `METRICS_PORT` is set, they are served on a separate internal server instead (see server.js)
+if (!config.metrics.port) {
+  app.get('/metrics', requireMetricsToken, sendMetrics);
+}
+
 // Mount the tour router on the /api/v1/tours route
 // All routes related to tours (e.g., getting all tours, creating a tour) will be handled by `tourRouter`.
 app.use('/api/v1/tours', tourRouter);
@@ -121,6 +275,19 @@ app.use('/api/v1/tours', tourRouter);
 // All routes related to users (e.g., signing up, logging in) will be handled by `userRouter`.
 app.use('/api/v1/users', userRouter);
 
+// Mount the review router on the /api/v1/reviews route
+// Reviews of a single tour are also available on /api/v1/tours/:tourId/reviews through the tour router.
+app.use('/api/v1/reviews', reviewRouter);
+
+// Mount the booking router on the /api/v1/bookings route
+app.use('/api/v1/bookings', bookingRouter);
+
+// Mount the API key router on the /api/v1/api-keys route
+app.use('/api/v1/api-keys', apiKeyRouter);
+
+// Mount the metrics router on the /api/v1/metrics route
+app.use('/api/v1/metrics', metricsRouter);
+
 // Middleware to handle all undefined routes (404 errors)
 // `app.all()` is used to catch requests to any HTTP method (GET, POST, PATCH, etc.)
 // `*` is a wildcard that matches any route not previously defined in the app
@@ -0,0 +1,411 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const dotenv = require('dotenv');
+
+/**
+ * config.js is the configuration of the application, and the only file that reads `process.env`
+ * (apart from the standalone mock issuer in dev-data/oidc). Everything else imports the values
+ * from here:
+ *
+ * ```
+ * const config = require('./config');
+ * jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.accessExpiresIn });
+ * ```
+ *
+ * The variables are read from (later sources win):
+ * 1) `config.env`, start with a copy of `config.env.example` which lists all variables
+ * 2) `config.<NODE_ENV>.env` e.g. `config.test.env`, for per-environment overrides
+ * 3) The real environment variables, e.g. set by the hosting platform
+ *
+ * Every variable is validated and converted to its type (numbers, lists...) when this module is
+ * loaded. If anything is missing or invalid, a `ConfigError` listing all problems is thrown, so
+ * the server doesn't start with a broken configuration.
+ *
+ * In the `test` environment the database, the JWT secret and the email settings have defaults,
+ * so the tests run without any config file.
+ */
+
+const ENVIRONMENTS = ['development', 'production', 'test'];
+
+// The payment providers that have an adapter in utils/payment.js
+const PAYMENT_PROVIDERS = ['fake'];
+
+// Durations as understood by jsonwebtoken, e.g. `15m`, `1h`, `7d` or a number of seconds
+const DURATION = /^(\d+)(ms|s|m|h|d|w|y)?$/;
+
+// Milliseconds per unit of a duration, a number without a unit is in seconds
+const DURATION_UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365.25 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * The variables of the application.
+ *
+ * - `type` - How the value is converted, one of the keys of `PARSERS`.
+ * - `required` - true, or the environments in which the variable is required.
+ * - `default` - Used if the variable is not set. An object with a value per environment
+ *   (and `other` for the remaining ones) gives every environment its own default.
+ * - `min`, `max` (numbers) and `values` (enums) restrict the allowed values.
+ */
+const VARIABLES = {
+  NODE_ENV: { type: 'enum', values: ENVIRONMENTS, default: 'development' },
+  PORT: { type: 'integer', min: 1, max: 65535, default: 3000 },
+  SHUTDOWN_TIMEOUT_MS: { type: 'integer', min: 0, default: 10000 },
+
+  // Database, `<PASSWORD>` in the connection string is replaced by `DB_PASSWORD`
+  MONGODB_URI: {
+    type: 'string',
+    required: true,
+    default: { test: 'mongodb://127.0.0.1:27017/natours-test' },
+  },
+  DB_PASSWORD: { type: 'string' },
+
+  // Authentication
+  JWT_SECRET: {
+    type: 'string',
+    required: true,
+    default: { test: 'natours-test-secret-which-is-only-used-by-the-tests' },
+  },
+  JWT_ACCESS_EXPIRES_IN: { type: 'duration', default: '15m' },
+  JWT_REFRESH_EXPIRES_IN: { type: 'number', min: 1, default: 30 },
+  MAX_LOGIN_ATTEMPTS: { type: 'integer', min: 1, default: 5 },
+  LOGIN_LOCK_MINUTES: { type: 'number', min: 1, default: 15 },
+
+  // Emails, not needed by the tests which never send any
+  EMAIL_HOST: { type: 'string', required: ['development', 'production'] },
+  EMAIL_PORT: {
+    type: 'integer',
+    min: 1,
+    max: 65535,
+    required: ['development', 'production'],
+  },
+  EMAIL_USERNAME: { type: 'string', required: ['development', 'production'] },
+  EMAIL_PASSWORD: { type: 'string', required: ['development', 'production'] },
+
+  // The fake provider marks every booking as paid without charging anything, so production
+  // has to name a real provider (see the check in `loadConfig`)
+  PAYMENT_PROVIDER: {
+    type: 'enum',
+    values: PAYMENT_PROVIDERS,
+    required: ['production'],
+    default: { production: undefined, other: 'fake' },
+  },
+
+  // Logging and metrics
+  LOG_LEVEL: {
+    type: 'enum',
+    values: ['error', 'warn', 'info', 'debug'],
+    default: { production: 'info', test: 'warn', other: 'debug' },
+  },
+  SLOW_QUERY_MS: { type: 'number', min: 0, default: 100 },
+  METRICS_TOKEN: { type: 'string' },
+  METRICS_PORT: { type: 'integer', min: 1, max: 65535 },
+  METRICS_HOST: { type: 'string', default: '127.0.0.1' },
+
+  // Social login, the variables of every provider are validated in `parseOidcProviders`
+  OIDC_PROVIDERS: { type: 'list', default: [] },
+};
+
+/**
+ * Variables that are not used anymore, with the reason. Setting them is an error, otherwise an
+ * old config.env would silently fall back to the defaults.
+ */
+const REMOVED_VARIABLES = {
+  JWT_EXPIRES_IN: 'it was renamed to JWT_ACCESS_EXPIRES_IN (default 15m)',
+  JWT_COOKIE_EXPIRES_IN:
+    'the jwt cookie expires together with the access token (JWT_ACCESS_EXPIRES_IN)',
+};
+
+/**
+ * Converts a duration like `15m` to milliseconds.
+ *
+ * @param {String} duration - A duration that matches `DURATION`.
+ * @returns {number}
+ */
+const durationToMs = (duration) => {
+  const [, amount, unit = 's'] = DURATION.exec(duration);
+
+  return Number(amount) * DURATION_UNIT_MS[unit];
+};
+
+/**
+ * Converters from the raw string to the typed value.
+ * They throw an error with the reason if the value is invalid.
+ */
+const PARSERS = {
+  string: (value) => value,
+
+  number: (value, { min, max }) => {
+    const number = Number(value);
+
+    if (!Number.isFinite(number)) throw new Error('must be a number');
+    if (min !== undefined && number < min) throw new Error(`must be at least ${min}`);
+    if (max !== undefined && number > max) throw new Error(`must be at most ${max}`);
+
+    return number;
+  },
+
+  integer: (value, spec) => {
+    const number = PARSERS.number(value, spec);
+
+    if (!Number.isInteger(number)) throw new Error('must be a whole number');
+
+    return number;
+  },
+
+  duration: (value) => {
+    if (!DURATION.test(value)) throw new Error('must be a duration like 15m, 1h or 7d');
+
+    return value;
+  },
+
+  enum: (value, { values }) => {
+    if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')}`);
+
+    return value;
+  },
+
+  // Comma separated, e.g. `google, github`
+  list: (value) =>
+    value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean),
+};
+
+/**
+ * Thrown when the configuration is incomplete or invalid.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {String[]} problems - One message per invalid variable.
+   */
+  constructor(problems) {
+    super(
+      `Invalid configuration (check config.env or the environment variables):\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join('\n')}`
+    );
+
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Reads an env file, if it exists.
+ *
+ * @param {String} fileName - Relative to this directory, so it doesn't matter where node was
+ *                            started (e.g. `node dev-data/data/import-data.js`).
+ * @returns {Object} - The variables of the file.
+ */
+const readEnvFile = (fileName) => {
+  const filePath = path.join(__dirname, fileName);
+
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+};
+
+/**
+ * Returns the default of a variable in the given environment.
+ *
+ * @param {Object} spec - The entry in `VARIABLES`.
+ * @param {String} env - e.g. `production`.
+ * @returns {*}
+ */
+const getDefault = (spec, env) => {
+  const { default: defaultValue } = spec;
+
+  if (defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue)) {
+    return env in defaultValue ? defaultValue[env] : defaultValue.other;
+  }
+
+  return defaultValue;
+};
+
+/**
+ * Validates and converts one variable.
+ *
+ * @param {String} name - e.g. `PORT`.
+ * @param {Object} spec - The entry in `VARIABLES`.
+ * @param {String} [rawValue] - The value from the env files or the environment.
+ * @param {String} env - The environment, for the required variables and the defaults.
+ * @param {String[]} problems - Invalid variables are added to it.
+ * @returns {*} - The typed value, or undefined if it is not set (or invalid).
+ */
+const parseVariable = (name, spec, rawValue, env, problems) => {
+  const value = rawValue === undefined ? '' : String(rawValue).trim();
+
+  if (value === '') {
+    const defaultValue = getDefault(spec, env);
+    const required = Array.isArray(spec.required)
+      ? spec.required.includes(env)
+      : spec.required === true;
+
+    if (defaultValue === undefined && required) {
+      problems.push(`${name} is required`);
+    }
+
+    return defaultValue;
+  }
+
+  try {
+    return PARSERS[spec.type](value, spec);
+  } catch (err) {
+    problems.push(`${name} ${err.message} (got "${value}")`);
+    return undefined;
+  }
+};
+
+/**
+ * Reads the configuration of the login providers listed in `OIDC_PROVIDERS`.
+ * Every provider is configured with variables starting with its name in upper case,
+ * see `utils/oidc.js`.
+ *
+ * @param {String[]} names - e.g. `['google']`.
+ * @param {Object} source - All variables.
+ * @param {String[]} problems - Invalid variables are added to it.
+ * @returns {Object} - The providers by their lower case name.
+ */
+const parseOidcProviders = (names, source, problems) =>
+  Object.fromEntries(
+    names.map((providerName) => {
+      const name = providerName.toLowerCase();
+      const variable = (key) => `OIDC_${name.toUpperCase()}_${key}`;
+      const value = (key) => (source[variable(key)] || '').trim() || undefined;
+
+      ['ISSUER', 'CLIENT_ID'].forEach((key) => {
+        if (!value(key)) {
+          problems.push(
+            `${variable(key)} is required because ${name} is in OIDC_PROVIDERS`
+          );
+        }
+      });
+
+      if (value('ISSUER') && !URL.canParse(value('ISSUER'))) {
+        problems.push(`${variable('ISSUER')} must be a URL (got "${value('ISSUER')}")`);
+      }
+
+      return [
+        name,
+        {
+          name,
+          issuer: value('ISSUER') && value('ISSUER').replace(/\/$/, ''),
+          clientId: value('CLIENT_ID'),
+          clientSecret: value('CLIENT_SECRET'),
+          redirectUri: value('REDIRECT_URI'),
+          scopes: value('SCOPES') || 'openid email profile',
+        },
+      ];
+    })
+  );
+
+/**
+ * Freezes an object and all objects in it, so the configuration can't be changed by accident.
+ *
+ * @param {Object} object
+ * @returns {Object} - The same object.
+ */
+const deepFreeze = (object) => {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+
+  return Object.freeze(object);
+};
+
+/**
+ * Builds the configuration from the env files and the given environment variables.
+ *
+ * @param {Object} environment - Usually `process.env`.
+ * @returns {Object} - The frozen configuration.
+ * @throws {ConfigError} - If a variable is missing or invalid.
+ */
+const loadConfig = (environment) => {
+  const problems = [];
+
+  // The environment has to be known first, to pick its override file
+  const baseFile = readEnvFile('config.env');
+  const env = parseVariable(
+    'NODE_ENV',
+    VARIABLES.NODE_ENV,
+    environment.NODE_ENV || baseFile.NODE_ENV,
+    undefined,
+    problems
+  );
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  const source = { ...baseFile, ...readEnvFile(`config.${env}.env`), ...environment };
+
+  const vars = Object.fromEntries(
+    Object.entries(VARIABLES).map(([name, spec]) => [
+      name,
+      parseVariable(name, spec, source[name], env, problems),
+    ])
+  );
+
+  // The connection string may contain a `<PASSWORD>` placeholder, so the password can be kept
+  // in a separate (secret) variable
+  if (vars.MONGODB_URI && vars.MONGODB_URI.includes('<PASSWORD>') && !vars.DB_PASSWORD) {
+    problems.push('DB_PASSWORD is required because MONGODB_URI contains <PASSWORD>');
+  }
+
+  if (env === 'production' && vars.PAYMENT_PROVIDER === 'fake') {
+    problems.push(
+      'PAYMENT_PROVIDER can not be fake in production, bookings would not be paid'
+    );
+  }
+
+  Object.entries(REMOVED_VARIABLES).forEach(([name, reason]) => {
+    if (source[name] !== undefined) problems.push(`${name} is no longer used, ${reason}`);
+  });
+
+  const oidcProviders = parseOidcProviders(vars.OIDC_PROVIDERS || [], source, problems);
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  return deepFreeze({
+    env,
+    isProduction: env === 'production',
+    isTest: env === 'test',
+    port: vars.PORT,
+    shutdownTimeoutMs: vars.SHUTDOWN_TIMEOUT_MS,
+    db: {
+      uri: vars.MONGODB_URI.replace('<PASSWORD>', vars.DB_PASSWORD),
+    },
+    jwt: {
+      secret: vars.JWT_SECRET,
+      // In seconds, jsonwebtoken would read a duration without a unit as milliseconds
+      accessExpiresIn: durationToMs(vars.JWT_ACCESS_EXPIRES_IN) / 1000,
+      accessExpiresInMs: durationToMs(vars.JWT_ACCESS_EXPIRES_IN),
+      refreshExpiresInDays: vars.JWT_REFRESH_EXPIRES_IN,
+    },
+    login: {
+      maxAttempts: vars.MAX_LOGIN_ATTEMPTS,
+      lockMinutes: vars.LOGIN_LOCK_MINUTES,
+    },
+    email: {
+      host: vars.EMAIL_HOST,
+      port: vars.EMAIL_PORT,
+      username: vars.EMAIL_USERNAME,
+      password: vars.EMAIL_PASSWORD,
+    },
+    paymentProvider: vars.PAYMENT_PROVIDER,
+    logLevel: vars.LOG_LEVEL,
+    slowQueryMs: vars.SLOW_QUERY_MS,
+    metrics: {
+      token: vars.METRICS_TOKEN,
+      port: vars.METRICS_PORT,
+      host: vars.METRICS_HOST,
+    },
+    oidcProviders,
+  });
+};
+
+module.exports = loadConfig(process.env);
@@ -0,0 +1,58 @@
+const ApiKey = require('./../models/apiKey.model.js');
+const User = require('./../models/user.model.js');
+const handleAsyncErrors = require('./../utils/handleAsyncErrors.js');
+const AppError = require('./../utils/appError.js');
+const filterObj = require('./../utils/filterObj.js');
+const factory = require('./handlerFactory.js');
+
+// Fields of an API key that admins can set. The prefix and the hash are generated.
+const API_KEY_FIELDS = ['name', 'scopes', 'rateLimit', 'expiresAt'];
+
+/**
+ * Controller functions for the admin API key routes, created by the factory functions in
+ * `handlerFactory.js`. The hash of the key is never sent (`select: false` on the schema).
+ */
+const getAllApiKeys = factory.getAll(ApiKey, { defaultSort: [['createdAt', -1]] });
+const getApiKey = factory.getOne(ApiKey, { path: 'user', select: 'name email role' });
+const updateApiKey = factory.updateOne(ApiKey, { allowedFields: API_KEY_FIELDS });
+const deleteApiKey = factory.deleteOne(ApiKey);
+
+/**
+ * Controller function to create an API key (admin only).
+ * Route - POST /api/v1/api-keys with e.g. `{ "name": "Partner XYZ", "scopes": ["tour:create"] }`
+ *
+ * - The key acts on behalf of the user given in `user`, or the admin creating it if there is none.
+ * - The key itself is only sent in this response. Only its hash is stored, so it can't be shown
+ *   again later. A lost key has to be deleted and a new one created.
+ */
+const createApiKey = handleAsyncErrors(async (req, res, next) => {
+  const userId = req.body.user || req.user._id;
+
+  if (!(await User.exists({ _id: userId }))) {
+    return next(new AppError('No user found with the given ID', 404));
+  }
+
+  const apiKey = new ApiKey({ ...filterObj(req.body, ...API_KEY_FIELDS), user: userId });
+  const key = apiKey.createKey();
+  await apiKey.save();
+
+  // Remove the hash from the response
+  apiKey.keyHash = undefined;
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Store the key safely, it can not be shown again.',
+    data: {
+      key,
+      apikey: apiKey,
+    },
+  });
+});
+
+module.exports = {
+  getAllApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey,
+};
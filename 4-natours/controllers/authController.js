@@ -2,6 +2,8 @@
  * authController.js file is responsible for
  *   - sign up users
  *   - sign in users
+ *   - log out users
+ *   - refreshing access tokens and managing sessions
  *   - resetting password
  *   - and all things related to authentication
  */
@@ -9,34 +11,115 @@
 const crypto = require('node:crypto');
 const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('./../models/user.model.js');
+const Session = require('./../models/session.model.js');
+const ApiKey = require('./../models/apiKey.model.js');
 const handleAsyncErrors = require('./../utils/handleAsyncErrors.js');
 const AppError = require('./../utils/appError.js');
 const sendEmail = require('./../utils/email.js');
+const config = require('./../config.js');
+const logger = require('./../utils/logger.js');
+const { PERMISSIONS, getAccess } = require('./../utils/permissions.js');
 
 // Function to generate a JSON Web Token for a user based on their user ID
+// This is a short-lived access token (15 minutes by default, see `JWT_ACCESS_EXPIRES_IN`).
+// When it expires, the client gets a new one from /refresh using its refresh token.
+// The id of the session is included, so revoking the session also invalidates the access token.
 /**
  * @param {String} id - The mongodb _id of a user document
+ * @param {String} sessionId - The mongodb _id of the session document
  * @returns {String} - JWT token
  */
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const signToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, config.jwt.secret, {
+    expiresIn: config.jwt.accessExpiresIn,
   });
 };
 
+// Purpose of the short-lived token that is returned by /login when two-factor authentication
+// is enabled. It can only be used on /login/2fa, never as an access token.
+const TWO_FACTOR_CHALLENGE = '2fa-challenge';
+
 /**
- * Creates a JSON Web Token (JWT) for a user and sends it in the response.
+ * Creates the challenge token for the second step of the login with two-factor authentication.
  *
- * @function createAndSendToken
+ * @param {String} id - The mongodb _id of a user document
+ * @returns {String} - JWT token that is valid for 5 minutes
+ */
+const signTwoFactorChallenge = (id) => {
+  return jwt.sign({ id, purpose: TWO_FACTOR_CHALLENGE }, config.jwt.secret, {
+    expiresIn: '5m',
+  });
+};
+
+// The refresh token cookie is only sent to the user routes (/refresh and /logout need it),
+// not with every request like the `jwt` cookie
+const REFRESH_COOKIE_PATH = '/api/v1/users';
+
+// HTTP methods that don't change anything on the server and therefore don't need CSRF protection
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Creates the CSRF token that belongs to a JWT.
+ *
+ * Browsers send the `jwt` cookie automatically with every request, even with requests that are
+ * triggered by other websites (Cross-Site Request Forgery). To protect against this, clients
+ * that authenticate with the cookie must also send the CSRF token in the `X-CSRF-Token` header.
+ * Other websites can't read this token, so they can't forge such requests.
+ *
+ * The token is an HMAC of the JWT, so it doesn't need to be stored anywhere: the server can
+ * always recalculate it from the `jwt` cookie and compare it with the header.
+ *
+ * @param {String} token - The JWT.
+ * @returns {String} - The CSRF token.
+ */
+const createCsrfToken = (token) => {
+  return crypto.createHmac('sha256', config.jwt.secret).update(token).digest('hex');
+};
+
+/**
+ * Checks that the `X-CSRF-Token` header of a request matches the CSRF token of the JWT.
+ *
+ * @param {Object} req - Express request object.
+ * @param {String} token - The JWT from the `jwt` cookie.
+ * @returns {Boolean}
+ */
+const isValidCsrfToken = (req, token) => {
+  const csrfHeader = req.get('X-CSRF-Token');
+  if (!csrfHeader) return false;
+
+  const expected = Buffer.from(createCsrfToken(token));
+  const received = Buffer.from(csrfHeader);
+
+  // `timingSafeEqual` prevents timing attacks, but it requires buffers of the same length
+  return (
+    expected.length === received.length && crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Creates a JSON Web Token (JWT) for a user and sends it in the response together with the
+ * refresh token of the session.
+ *
+ * @function sendTokens
  * @param {Object} user - The user object containing user details, including the user's ID.
+ * @param {Object} session - The session document the tokens belong to.
+ * @param {String} refreshToken - The raw refresh token of the session.
  * @param {number} statusCode - HTTP status code to send in the response.
  * @param {Object} res - Express response object used to send the response back to the client.
  *
- * @returns {void} Sends a JSON response containing the status, token, and user data.
+ * @returns {void} Sends a JSON response containing the status, tokens, and user data.
  */
-const createAndSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+const sendTokens = (user, session, refreshToken, statusCode, res) => {
+  const token = signToken(user._id, session._id);
+
+  // Remove the sensitive fields that might have been selected from the output
+  user.password = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = undefined;
 
   /**
    * [LECTURE 142] If you are taking notes in your notebook, then remember this feature
@@ -44,20 +127,22 @@ const createAndSendToken = (user, statusCode, res) => {
    */
 
   // Cookie options -
-  // `expires` - set to the same expiry time as the jwt token expiry time
+  // `expires` - set to the same expiry time as the jwt token expiry time, the refresh token
+  // (in its own cookie) is used to get a new one
   // `httpOnly`- to make sure that the cookie is not modified in any way in the browser
+  // `sameSite` - the cookie is not sent with requests that are triggered by other websites
+  // (except for top-level navigation), which is a first line of defence against CSRF attacks
   const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ),
+    expires: new Date(Date.now() + config.jwt.accessExpiresInMs),
     httpOnly: true,
+    sameSite: 'lax',
   };
 
   // We set the `secure` option to true only in production mode
   // This means the cookie will be shared only over `https` connection
   // And since we are writing our api in development mode, setting this option
   // to true by default will make it not work
-  if (process.env.NODE_ENV === 'production') cookieOptions.secure = true;
+  if (config.isProduction) cookieOptions.secure = true;
 
   // Sending the token as cookie
   // First parameter - name of the cookie
@@ -65,15 +150,120 @@ const createAndSendToken = (user, statusCode, res) => {
   // Third parameter - the cookie options object
   res.cookie('jwt', token, cookieOptions);
 
+  // Sending the CSRF token for the jwt cookie
+  // This cookie is not `httpOnly`, so the JavaScript of our own website can read it and send
+  // it back in the `X-CSRF-Token` header. It is also sent in the response body.
+  const csrfToken = createCsrfToken(token);
+  res.cookie('csrfToken', csrfToken, { ...cookieOptions, httpOnly: false });
+
+  // Sending the refresh token as a cookie that expires together with the session
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions,
+    expires: session.expiresAt,
+    path: REFRESH_COOKIE_PATH,
+  });
+
   res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken,
+    csrfToken,
     data: {
       user,
     },
   });
 };
 
+/**
+ * Starts a new session for a user (i.e. logs them in on a device) and sends the tokens.
+ *
+ * @function createAndSendToken
+ * @param {Object} user - The user object containing user details, including the user's ID.
+ * @param {number} statusCode - HTTP status code to send in the response.
+ * @param {Object} req - Express request object, used to store the user agent and IP of the session.
+ * @param {Object} res - Express response object used to send the response back to the client.
+ *
+ * @returns {Promise<void>} Sends a JSON response containing the status, tokens, and user data.
+ */
+const createAndSendToken = async (user, statusCode, req, res) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    lastUsedAt: Date.now(),
+  });
+  const refreshToken = session.createRefreshToken();
+  await session.save();
+
+  sendTokens(user, session, refreshToken, statusCode, res);
+};
+
+/**
+ * Finds the session that a refresh token belongs to.
+ * The refresh token has the format `<sessionId>.<random>` (see `createRefreshToken` in the sessionSchema).
+ *
+ * @param {String} refreshToken - The raw refresh token.
+ * @returns {Promise<Object|null>} - The session document with the token hashes, or null.
+ */
+const findSessionByRefreshToken = async (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId] = refreshToken.split('.');
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  return Session.findById(sessionId).select('+tokenHash +previousTokenHashes');
+};
+
+/**
+ * Gets the refresh token of a request, from the body (API clients) or the cookie (browsers).
+ *
+ * @param {Object} req - Express request object.
+ * @returns {String|undefined}
+ */
+const getRefreshToken = (req) => {
+  return (req.body && req.body.refreshToken) || (req.cookies && req.cookies.refreshToken);
+};
+
+/**
+ * Sends the email with the link to verify the email address of a user.
+ *
+ * @param {Object} user - The user.
+ * @param {String} verificationToken - The raw verification token.
+ * @param {Object} req - Express request object, used to build the verification URL.
+ * @param {Object} [options]
+ * @param {boolean} [options.emailChanged] - The user changed their address (instead of signing up).
+ * @returns {Promise<boolean>} - Whether the email was sent.
+ */
+const sendVerificationEmail = async (user, verificationToken, req, options = {}) => {
+  const verifyURL = `${req.protocol}://${req.get(
+    'host'
+  )}/api/v1/users/verify-email/${verificationToken}`;
+
+  const message = options.emailChanged
+    ? `Hi ${user.name}, please confirm your new email address by opening: ${verifyURL}
+  This link is valid for 24 hours. If you didn't change your email address, please ignore
+  this email.`
+    : `Welcome to Natours, ${user.name}! Please confirm your email address by
+  opening: ${verifyURL}\nThis link is valid for 24 hours. If you didn't sign up, please
+  ignore this email.`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'Confirm your email address (valid for 24 hours)',
+      message,
+    });
+    return true;
+  } catch (err) {
+    logger.error('Error sending the verification email', {
+      requestId: req.id,
+      userId: user.id,
+      err,
+    });
+    return false;
+  }
+};
+
 /**
  * Controller function to create/sign-up a new user
  * This function handles the user registration process, ensuring data integrity
@@ -90,24 +280,85 @@ const signUp = handleAsyncErrors(async (req, res) => {
   // Instead, explicitly specify only the fields needed for creating a user in the database.
   // This way, any unwanted or potentially harmful fields are ignored, preventing unauthorized
   // roles or permissions from being assigned.
-  const newUser = await User.create({
+  // The role is never taken from the request: everybody who signs up is a `user`. Other roles
+  // can only be granted by an admin through PATCH /users/:id/role.
+  const newUser = new User({
     name: req.body.name, // User's name, required for registration
     email: req.body.email, // User's email, must be unique and valid
     password: req.body.password, // User's password, must meet security requirements
     passwordConfirm: req.body.passwordConfirm, // Confirmation of the user's password
-    passwordChangedAt: req.body.passwordChangedAt || undefined,
-    role: req.body.role || 'user',
+    role: 'user',
+    emailVerified: false, // Has to be verified using the link in the verification email
   });
 
-  // Set password to undefined before sending the response
+  // Generate the email verification token and save the user
+  const verificationToken = newUser.createEmailVerificationToken();
+  await newUser.save();
+
+  // Send the verification link. If it fails, the user is still signed up and can ask for a
+  // new link using /resend-verification
+  const emailSent = await sendVerificationEmail(newUser, verificationToken, req);
+  if (!emailSent) {
+    newUser.emailVerificationToken = undefined;
+    newUser.emailVerificationTokenExpires = undefined;
+    await newUser.save({ validateBeforeSave: false });
+  }
+
+  // Set password and the token to undefined before sending the response
   // This is to ensure we don't leak password as a security flaw
   newUser.password = undefined;
+  newUser.emailVerificationToken = undefined;
+  newUser.emailVerificationTokenExpires = undefined;
 
   // Use the `createAndSendToken` method to generate a jwt token and send it back as a response
   // to the client so they can use it to subsequently login to their account
-  createAndSendToken(newUser, 201, res);
+  await createAndSendToken(newUser, 201, req, res);
 });
 
+/**
+ * Sends the email with the link to unlock an account that was locked after too many failed
+ * login attempts. Errors are only logged: the login response must not depend on the email.
+ *
+ * @param {Object} user - The locked user.
+ * @param {String} unlockToken - The raw unlock token.
+ * @param {Object} req - Express request object, used to build the unlock URL.
+ * @returns {Promise<void>}
+ */
+const sendUnlockEmail = async (user, unlockToken, req) => {
+  const unlockURL = `${req.protocol}://${req.get(
+    'host'
+  )}/api/v1/users/unlock-account/${unlockToken}`;
+
+  const message = `There were too many failed login attempts on your account, so it has been
+  locked temporarily. If this was you, you can unlock it right away by opening: ${unlockURL}\nIf
+  this wasn't you, somebody might be trying to guess your password. Consider changing it.`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'Your account has been locked (unlock link valid for 1 hour)',
+      message,
+    });
+  } catch (err) {
+    logger.error('Error sending the unlock email', { userId: user.id, err });
+  }
+};
+
+/**
+ * Returns the error for logging into an account that is locked after too many failed logins.
+ *
+ * @param {Object} user - The locked user, with the `lockUntil` field.
+ * @returns {AppError} - 423 Locked
+ */
+const accountLockedError = (user) => {
+  const minutesLeft = Math.ceil((user.lockUntil.getTime() - Date.now()) / (60 * 1000));
+
+  return new AppError(
+    `Too many failed login attempts. This account is locked for ${minutesLeft} minute(s)`,
+    423
+  );
+};
+
 /**
  * Controller function for logging in an existing user.
  * This function validates the user's credentials (email and password)
@@ -124,30 +375,441 @@ const login = handleAsyncErrors(async (req, res, next) => {
   // Query the database for the user by email, including the password field,
   // which is typically excluded due to `select: false` in the User schema
   // so we have to add a `+` sign when selection password
-  const user = await User.findOne({ email }).select('+password');
+  // The lockout fields are also excluded by default and needed below
+  const user = await User.findOne({ email }).select(
+    '+password +failedLoginAttempts +lockUntil'
+  );
+
+  // If the account is locked because of too many failed attempts, don't even check the password
+  if (user && user.isLocked()) {
+    return next(accountLockedError(user));
+  }
 
   // Verify the user exists and that the provided password matches the stored password
   // To do that we use the `checkPassword`instance method that we defined in the userSchema
   if (!user || !(await user.checkPassword(password, user.password))) {
+    // Count the failed attempt. When the account gets locked, email the user an unlock link
+    if (user) {
+      const justLocked = user.registerFailedLogin();
+      const unlockToken = justLocked ? user.createAccountUnlockToken() : undefined;
+      await user.save({ validateBeforeSave: false });
+
+      if (unlockToken) await sendUnlockEmail(user, unlockToken, req);
+    }
+
     return next(new AppError('Incorrect email or password', 401));
   }
 
+  // If two-factor authentication is enabled, the password alone is not enough. Instead of the
+  // tokens, a short-lived challenge token is sent, which has to be posted to /login/2fa
+  // together with a code from the authenticator app. The failed attempts are only reset
+  // after the second step, so codes can't be guessed endlessly.
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id),
+    });
+  }
+
+  // Successful login, so the failed attempts are forgotten
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+  }
+
   // Generate and send a new token for the user upon successful login using the
   // `createAndSendToken` method
-  createAndSendToken(user, 200, res);
+  await createAndSendToken(user, 200, req, res);
+});
+
+/**
+ * Controller function for the second step of the login with two-factor authentication.
+ * Expects the `challengeToken` from /login and either a `code` from the authenticator app
+ * or one of the `recoveryCode`s. Failed codes count as failed login attempts, so the account
+ * gets locked the same way as with wrong passwords.
+ */
+const loginTwoFactor = handleAsyncErrors(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(
+      new AppError(
+        'Please provide the challenge token and a code or a recovery code',
+        400
+      )
+    );
+  }
+
+  // 1) Verify the challenge token
+  const decoded = await promisify(jwt.verify)(challengeToken, config.jwt.secret);
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+    return next(new AppError('Invalid token. Please login again!', 401));
+  }
+
+  // 2) Find the user with the fields needed for 2FA and the lockout
+  const user = await User.findById(decoded.id).select(
+    '+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes ' +
+      '+failedLoginAttempts +lockUntil'
+  );
+
+  if (!user || !user.twoFactorEnabled || user.changedPasswordAfter(decoded.iat)) {
+    return next(new AppError('Invalid token. Please login again!', 401));
+  }
+
+  if (user.isLocked()) {
+    return next(
+      new AppError('Too many failed login attempts. This account is locked for now', 423)
+    );
+  }
+
+  // 3) Check the code from the app or the recovery code
+  const isValid = code
+    ? user.checkTwoFactorCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!isValid) {
+    const justLocked = user.registerFailedLogin();
+    const unlockToken = justLocked ? user.createAccountUnlockToken() : undefined;
+    await user.save({ validateBeforeSave: false });
+
+    if (unlockToken) await sendUnlockEmail(user, unlockToken, req);
+
+    return next(new AppError('Invalid two-factor authentication code', 401));
+  }
+
+  // 4) Both steps passed, log the user in
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+
+  await createAndSendToken(user, 200, req, res);
+});
+
+/**
+ * Controller function to start the setup of two-factor authentication for the logged in user.
+ * Sends the secret and the `otpauth://` URI, which the client shows as a QR code to be scanned
+ * with an authenticator app. The setup is finished with /me/2fa/enable.
+ *
+ * The current `password` is required, like for disabling 2FA. Otherwise a stolen access token
+ * would be enough to bind another authenticator app to the account. A secret can't be replaced
+ * while 2FA is enabled, it has to be disabled first (which needs a code of the current app).
+ */
+const setupTwoFactor = handleAsyncErrors(async (req, res, next) => {
+  if (req.user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (
+    !req.body.password ||
+    !(await user.checkPassword(req.body.password, user.password))
+  ) {
+    return next(new AppError('Incorrect password', 401));
+  }
+
+  const { secret, otpauthURI } = user.createTwoFactorSecret();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthURI,
+    },
+  });
+});
+
+/**
+ * Controller function to finish the setup of two-factor authentication.
+ * The user proves that the authenticator app works by sending a `code` from it. Then 2FA is
+ * enabled and the recovery codes are sent. They are only stored hashed, so this is the only
+ * time the user can see them.
+ */
+const enableTwoFactor = handleAsyncErrors(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(
+    '+twoFactorPendingSecret +twoFactorLastUsedStep'
+  );
+
+  if (user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return next(new AppError('Please start the setup with /me/2fa/setup first', 400));
+  }
+
+  if (!user.checkTwoFactorCode(req.body.code, { pending: true })) {
+    return next(new AppError('Invalid two-factor authentication code', 400));
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message:
+      'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+/**
+ * Controller function to turn off two-factor authentication.
+ * Requires the current password and a code from the authenticator app.
+ * Admins can't turn it off, because it is mandatory for them.
+ */
+const disableTwoFactor = handleAsyncErrors(async (req, res, next) => {
+  if (req.user.role === 'admin') {
+    return next(new AppError('Two-factor authentication is mandatory for admins', 403));
+  }
+
+  const user = await User.findById(req.user._id).select(
+    '+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes'
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (
+    !req.body.password ||
+    !(await user.checkPassword(req.body.password, user.password)) ||
+    !user.checkTwoFactorCode(req.body.code)
+  ) {
+    return next(
+      new AppError('Incorrect password or two-factor authentication code', 401)
+    );
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+/**
+ * Controller function for logging out a user.
+ * The session of the refresh token (from the cookie or the body) is revoked, so neither the
+ * refresh token nor the access tokens of this session can be used anymore.
+ * The `jwt` cookie is `httpOnly`, so the browser can't delete it. Instead, we overwrite it with
+ * a dummy value that expires in 10 seconds, which logs the user out. The CSRF and refresh
+ * token cookies are cleared as well.
+ */
+const logout = handleAsyncErrors(async (req, res) => {
+  const refreshToken = getRefreshToken(req);
+  const session = await findSessionByRefreshToken(refreshToken);
+  if (session && session.tokenHash === Session.hashToken(refreshToken)) {
+    session.revoke('logout');
+    await session.save();
+  }
+
+  const cookieOptions = {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+    sameSite: 'lax',
+  };
+  if (config.isProduction) cookieOptions.secure = true;
+
+  res.cookie('jwt', 'loggedout', cookieOptions);
+  res.clearCookie('csrfToken');
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+
+  res.status(200).json({
+    status: 'success',
+  });
+});
+
+/**
+ * Controller function to get a new access token using a refresh token.
+ *
+ * Workflow:
+ * 1. Finds the session of the refresh token.
+ * 2. If the token was already used before (it is one of the `previousTokenHashes`), somebody
+ *    is replaying a stolen token. The whole session (token family) is revoked, so both the thief
+ *    and the user have to log in again.
+ * 3. Checks that the token is the current one, the session is still active and the user still exists.
+ * 4. Rotates the refresh token and sends a new access token and refresh token.
+ */
+const refresh = handleAsyncErrors(async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  // 1) Find the session
+  const session = await findSessionByRefreshToken(refreshToken);
+  if (!session) {
+    return next(new AppError('Invalid refresh token. Please log in again!', 401));
+  }
+
+  // 2) Reuse detection
+  const hashedToken = Session.hashToken(refreshToken);
+  if (session.previousTokenHashes.includes(hashedToken)) {
+    session.revoke('refresh-token-reuse');
+    await session.save();
+    return next(
+      new AppError('This refresh token was already used. Please log in again!', 401)
+    );
+  }
+
+  // 3) Check the token, the session and the user
+  if (session.tokenHash !== hashedToken || !session.isActive()) {
+    return next(new AppError('Invalid refresh token. Please log in again!', 401));
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    session.revoke('user-not-found');
+    await session.save();
+    return next(new AppError('The user for this token no longer exists', 401));
+  }
+
+  // 4) Rotate the refresh token and send the new tokens
+  const newRefreshToken = session.createRefreshToken();
+  session.lastUsedAt = Date.now();
+  await session.save();
+
+  sendTokens(user, session, newRefreshToken, 200, res);
+});
+
+/**
+ * Controller function to get all active sessions of the logged in user, e.g. to see on which
+ * devices they are logged in. The session of the current request is marked with `current: true`.
+ */
+const getMySessions = handleAsyncErrors(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  }).sort('-lastUsedAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId),
+      })),
+    },
+  });
+});
+
+/**
+ * Controller function to revoke one session of the logged in user by its ID,
+ * e.g. to log out on a lost device.
+ */
+const revokeMySession = handleAsyncErrors(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!session) {
+    return next(new AppError('No session found with the given ID', 404));
+  }
+
+  session.revoke('revoked-by-user');
+  await session.save();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Controller function to revoke all sessions of the logged in user except the current one,
+ * i.e. to log out on all other devices.
+ */
+const revokeMyOtherSessions = handleAsyncErrors(async (req, res, next) => {
+  await Session.revokeAllForUser(req.user._id, 'revoked-by-user', req.sessionId);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Middleware that looks up the API key sent in the `X-API-Key` header, if any.
+ * It runs for all /api requests before the rate limiters in app.js, so that requests with a valid
+ * key are limited per key instead of per IP address.
+ *
+ * A valid key is put on the request as `req.apiKey`. Unknown or expired keys are ignored here,
+ * those requests are limited per IP and rejected by `protectedRoute`.
+ */
+const authenticateApiKey = handleAsyncErrors(async (req, res, next) => {
+  const key = req.get('X-API-Key');
+  if (!key) return next();
+
+  const apiKey = await ApiKey.findByKey(key);
+  if (apiKey) {
+    req.apiKey = apiKey;
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now() });
+  }
+
+  next();
 });
 
 /**
  * Middleware function to protect routes that require authentication.
  * Validates the JWT token, checks if the user still exists,
  * and verifies if the password was not changed after the token was issued.
+ *
+ * Partner integrations can send an API key in the `X-API-Key` header instead of a token.
+ * They are authenticated as the user the key belongs to (see `authenticateApiKey`), but can only
+ * use the routes that check a permission (`can()`) that is one of the scopes of the key. The
+ * other protected routes reject keys with `rejectApiKeys`. Keys of deactivated or locked users
+ * are rejected.
  */
 const protectedRoute = handleAsyncErrors(async (req, res, next) => {
-  // 1) Get the token from the request headers if present
+  // 0) Requests with an API key don't have a token or a session
+  if (req.get('X-API-Key')) {
+    if (!req.apiKey) {
+      return next(new AppError('Invalid or expired API key', 401));
+    }
+
+    // Deactivated users are loaded too, so their keys get a clear error message
+    const keyUser = await User.findById(req.apiKey.user)
+      .setOptions({ includeInactive: true })
+      .select('+active +lockUntil');
+    if (!keyUser) {
+      return next(new AppError('The user of this API key no longer exists', 401));
+    }
+
+    // A key can't be used while its user can't log in
+    if (keyUser.active === false) {
+      return next(new AppError('The user of this API key has been deactivated', 401));
+    }
+    if (keyUser.isLocked()) {
+      return next(new AppError('The user of this API key is locked', 401));
+    }
+
+    req.user = keyUser;
+    return next();
+  }
+
+  // 1) Get the token from the request headers or the `jwt` cookie if present
   let token;
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     // Extract the token from the `Authorization` header (e.g., "Bearer <token>")
     token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies && req.cookies.jwt && req.cookies.jwt !== 'loggedout') {
+    // Browsers send the token in the `jwt` cookie that is set by `createAndSendToken`
+    token = req.cookies.jwt;
+
+    // Requests that change something and are authenticated with the cookie must also
+    // send the matching CSRF token, see `createCsrfToken`
+    if (!SAFE_METHODS.includes(req.method) && !isValidCsrfToken(req, token)) {
+      return next(new AppError('Invalid or missing CSRF token', 403));
+    }
   }
 
   // If no token is provided, return a 401 Unauthorized error
@@ -156,7 +818,12 @@ const protectedRoute = handleAsyncErrors(async (req, res, next) => {
   }
 
   // 2) Verify the token using JWT and the secret key
-  const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  const decoded = await promisify(jwt.verify)(token, config.jwt.secret);
+
+  // Tokens with a purpose (e.g. the 2FA challenge token) are not access tokens
+  if (decoded.purpose) {
+    return next(new AppError('Invalid token. Please login again!', 401));
+  }
 
   // 3) Check if the user still exists in the database
   const user = await User.findById(decoded.id);
@@ -179,39 +846,206 @@ const protectedRoute = handleAsyncErrors(async (req, res, next) => {
     );
   }
 
-  // 5) Grant access to the protected route by attaching the user to the request object
-  // and calling the next function
+  // 5) Check that the session of the token has not been revoked (logout, revoked on
+  // another device...). Tokens issued before sessions existed don't have a session id.
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive()) {
+      return next(new AppError('Your session has ended. Please log in again!', 401));
+    }
+  }
+
+  // 6) Grant access to the protected route by attaching the user (and the id of the session)
+  // to the request object and calling the next function
   req.user = user;
+  req.sessionId = decoded.sid;
   next();
 });
 
 /**
- * `restrictedRoute` is a higher-order middleware function that restricts access to specific user roles
- * It uses closures to "remember" the roles passed to it and checks if the authenticated user has permission.
+ * `can` is a higher-order middleware function that only lets the request through if the logged in
+ * user may perform `action` according to the permission map in `utils/permissions.js`.
+ * It has to be used after `protectedRoute`, which sets `req.user`.
+ *
+ * If the role of the user may only perform the action on their own resources (e.g. a lead guide
+ * updating a tour), the `isOwner` check of the action decides.
+ *
+ * @param {String} action - The action to check e.g. `tour:update`.
+ * @returns {Function} - Express middleware.
+ */
+const can = (action) => {
+  // Fail when the routes are set up instead of on the first request
+  if (!PERMISSIONS[action]) throw new Error(`Unknown permission: ${action}`);
+
+  return handleAsyncErrors(async (req, res, next) => {
+    const access = getAccess(req.user.role, action);
+
+    if (!access) {
+      return next(new AppError('You do not have permission to perform this action', 403));
+    }
+
+    // API keys can only perform the actions they were given, even if their user may do more
+    if (req.apiKey && !req.apiKey.scopes.includes(action)) {
+      return next(new AppError(`This API key does not have the ${action} scope`, 403));
+    }
+
+    if (access === 'own' && !(await PERMISSIONS[action].isOwner(req))) {
+      return next(
+        new AppError('You can only perform this action on your own resources', 403)
+      );
+    }
+
+    // Two-factor authentication is mandatory for admins. Until they have set it up,
+    // they can't use any route that requires a permission.
+    if (req.user.role === 'admin' && !req.user.twoFactorEnabled) {
+      return next(
+        new AppError(
+          'Admins must enable two-factor authentication (/api/v1/users/me/2fa/setup) first',
+          403
+        )
+      );
+    }
+
+    next();
+  });
+};
+
+/**
+ * Controller function to unlock an account with the token from the unlock email.
+ * The token is hashed and looked up the same way as the password reset token.
+ */
+const unlockAccount = handleAsyncErrors(async (req, res, next) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    accountUnlockToken: hashedToken,
+    accountUnlockTokenExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new AppError('Token has either expired or is not valid', 400));
+  }
+
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your account has been unlocked. You can log in again.',
+  });
+});
+
+/**
+ * Controller function to verify the email address of a user with the token from the
+ * verification email. The token is hashed and looked up the same way as the password reset token.
+ */
+const verifyEmail = handleAsyncErrors(async (req, res, next) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationTokenExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new AppError('Token has either expired or is not valid', 400));
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationTokenExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your email address has been verified',
+  });
+});
+
+/**
+ * Creates a new verification token for a user whose email address is not verified, saves it and
+ * emails the link. If the email can't be sent, the token is removed again, the user can ask for
+ * a new link using /resend-verification.
+ *
+ * @param {Object} user - The user document.
+ * @param {Object} req - Express request object, used to build the verification URL.
+ * @param {Object} [options] - Passed to `sendVerificationEmail`, e.g. `{ emailChanged: true }`.
+ * @returns {Promise<boolean>} - Whether the email was sent.
  */
-const restrictedRoute =
-  // Accepts a variable number of role arguments (e.g., 'admin', 'manager')
-  // and collects them into an array called `roles` using the rest parameter.
+const startEmailVerification = async (user, req, options) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const emailSent = await sendVerificationEmail(user, verificationToken, req, options);
+  if (!emailSent) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationTokenExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  // Never send the token in a response
+  user.emailVerificationToken = undefined;
+  user.emailVerificationTokenExpires = undefined;
 
+  return emailSent;
+};
 
-    (...roles) =>
-    // Returns the actual middleware function, with access to `roles` due to closures.
-    (req, res, next) => {
-      // `req.user` is expected to be populated by a prior authentication middleware - `protectedRoute`.
-      // This middleware should authenticate the user and store user data in `req.user`.
+/**
+ * Controller function to send a new verification email to the logged in user,
+ * e.g. when the first one got lost or the link expired.
+ */
+const resendVerificationEmail = handleAsyncErrors(async (req, res, next) => {
+  const user = req.user;
 
-      // Checks if the user's role, `req.user.role`, is included in the allowed `roles` array.
-      if (!roles.includes(req.user.role)) {
-        // If the user's role is not allowed, an error is passed to the next middleware
-        // with a 403 Forbidden status code and an error message.
-        return next(
-          new AppError('You do not have permission to perform this action', 403)
-        );
-      }
+  if (user.emailVerified !== false) {
+    return next(new AppError('Your email address is already verified', 400));
+  }
 
-      // If the user has one of the allowed roles, `next()` is called to proceed with the request.
-      next();
-    };
+  if (!(await startEmailVerification(user, req))) {
+    return next(
+      new AppError('There was an error sending the email. Try again later.', 500)
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent',
+  });
+});
+
+/**
+ * Middleware that rejects requests authenticated with an API key.
+ * API keys can only perform the actions of their scopes, which are checked by `can()`. So every
+ * protected route without `can()` must use this middleware, e.g. the routes where users manage
+ * their own account (password, sessions, 2FA...), which must not be reachable by partner
+ * integrations acting on behalf of a user.
+ */
+const rejectApiKeys = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new AppError('This route can not be used with an API key', 403));
+  }
+
+  next();
+};
+
+/**
+ * Middleware that only lets users with a verified email address continue.
+ * It must run after `protectedRoute`, which puts the user on the request object.
+ * Users that signed up before email verification existed don't have the `emailVerified` field
+ * and are allowed through.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return next(
+      new AppError(
+        'Please verify your email address first. Use /resend-verification to get a new link.',
+        403
+      )
+    );
+  }
+
+  next();
+};
 
 /**
  * Forgot Password Controller
@@ -334,6 +1168,15 @@ const resetPassword = handleAsyncErrors(async (req, res, next) => {
   user.passwordResetToken = undefined;
   user.passwordResetTokenExpires = undefined;
 
+  // The user proved that they own the email address, so a lock on the account is lifted too
+  // and the email address counts as verified
+  user.resetLoginAttempts();
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationTokenExpires = undefined;
+  }
+
   // 2.d) Then we save the user document. This time without using { validateBeforeSave: false }.
   // This ensures that the `password` and `passwordConfirm` fields are validated.
   // This doesn't throw errors for other fields that are required because we updating an existing
@@ -347,8 +1190,10 @@ const resetPassword = handleAsyncErrors(async (req, res, next) => {
   // We do this by generating a jsonwebtoken and sending it back as a response
   // Using the token, the client can login again.
 
-  // We do this using the `createAndSendToken` function
-  createAndSendToken(user, 200, res);
+  // All existing sessions are revoked, because whoever knew the old password might be logged in.
+  // We do this using the `createAndSendToken` function, which starts a new session
+  await Session.revokeAllForUser(user._id, 'password-reset');
+  await createAndSendToken(user, 200, req, res);
 });
 
 /**
@@ -379,15 +1224,36 @@ const updatePassword = handleAsyncErrors(async (req, res, next) => {
   user.passwordConfirm = req.body.passwordConfirm;
   await user.save();
 
-  // 4) Log the user in again i.e., send JWT
-  createAndSendToken(user, 200, res);
+  // 4) Log the user out on all devices (revoke all sessions) and log them in again on this
+  // one i.e., start a new session and send JWT
+  await Session.revokeAllForUser(user._id, 'password-changed');
+  await createAndSendToken(user, 200, req, res);
 });
 
 module.exports = {
+  createAndSendToken,
+  signTwoFactorChallenge,
+  accountLockedError,
   signUp,
   login,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  logout,
+  unlockAccount,
+  refresh,
+  getMySessions,
+  revokeMySession,
+  revokeMyOtherSessions,
+  authenticateApiKey,
   protectedRoute,
-  restrictedRoute,
+  can,
+  rejectApiKeys,
+  verifyEmail,
+  startEmailVerification,
+  resendVerificationEmail,
+  requireVerifiedEmail,
   forgotPassword,
   resetPassword,
   updatePassword,
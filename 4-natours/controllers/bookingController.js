@@ -0,0 +1,225 @@
+/**
+ * bookingController.js file is responsible for
+ *   - booking tours (with capacity checks and payment)
+ *   - listing the bookings of the logged in user
+ *   - cancelling bookings
+ *   - managing all bookings as an admin
+ */
+
+const Booking = require('./../models/booking.model.js');
+const Tour = require('./../models/tour.model.js');
+const handleAsyncErrors = require('./../utils/handleAsyncErrors.js');
+const AppError = require('./../utils/appError.js');
+const getPaymentProvider = require('./../utils/payment.js');
+const factory = require('./handlerFactory.js');
+
+/**
+ * Calculates the price of one place on a tour.
+ * `priceDiscount` is the amount that is taken off the regular price (the tour schema makes sure
+ * it is below the price).
+ *
+ * @param {Object} tour - The tour document.
+ * @returns {number} - The price per participant.
+ */
+const getUnitPrice = (tour) => {
+  return tour.priceDiscount ? tour.price - tour.priceDiscount : tour.price;
+};
+
+/**
+ * Checks whether the logged in user is allowed to see or cancel the given booking.
+ * Only the user who made the booking or an admin can do that.
+ *
+ * @param {Object} booking - The booking document (with the user populated).
+ * @param {Object} user - The logged in user (`req.user`).
+ * @returns {Boolean}
+ */
+const isOwnerOrAdmin = (booking, user) => {
+  return (
+    user.role === 'admin' || Boolean(booking.user && booking.user._id.equals(user._id))
+  );
+};
+
+/**
+ * Controller function to book a tour.
+ *
+ * Workflow:
+ * 1. Checks that the tour exists and that the requested date is one of its `startDates`.
+ * 2. Checks that the places already taken plus the new participants don't exceed `maxGroupSize`.
+ * 3. Creates a `pending` booking with a snapshot of the price (with `priceDiscount` applied).
+ * 4. Counts the places again, in case another booking for the same date was created meanwhile,
+ *    and removes the new booking if the tour is now overbooked.
+ * 5. Charges the payment provider and marks the booking as `paid`.
+ */
+const createBooking = handleAsyncErrors(async (req, res, next) => {
+  const { startDate, paymentToken } = req.body;
+  const participants =
+    req.body.participants === undefined ? 1 : Number(req.body.participants);
+
+  // 1) Check the tour and the start date
+  const tour = await Tour.findById(req.body.tour || req.params.tourId);
+
+  if (!tour) {
+    return next(new AppError('No tour found with the given ID', 404));
+  }
+
+  if (!Number.isInteger(participants) || participants < 1) {
+    return next(new AppError('Participants must be a whole number of at least 1', 400));
+  }
+
+  const requestedDate = new Date(startDate);
+  const tourDate = tour.startDates.find(
+    (date) => date.getTime() === requestedDate.getTime()
+  );
+
+  if (!startDate || !tourDate) {
+    const availableDates = tour.startDates.map((date) => date.toISOString()).join(', ');
+    return next(new AppError(`Start date must be one of: ${availableDates}`, 400));
+  }
+
+  if (tourDate.getTime() < Date.now()) {
+    return next(new AppError('This tour date is in the past and can not be booked', 400));
+  }
+
+  // 2) Check that there are enough places left on this date
+  const takenPlaces = await Booking.countParticipants(tour._id, tourDate);
+
+  if (takenPlaces + participants > tour.maxGroupSize) {
+    const placesLeft = Math.max(tour.maxGroupSize - takenPlaces, 0);
+    return next(
+      new AppError(`Not enough places left on this date. Places left: ${placesLeft}`, 400)
+    );
+  }
+
+  // 3) Create the booking with a snapshot of the price
+  const booking = await Booking.create({
+    tour: tour._id,
+    user: req.user._id,
+    startDate: tourDate,
+    participants,
+    price: getUnitPrice(tour) * participants,
+  });
+
+  // 4) Count again to make sure no other booking took the last places at the same time
+  if ((await Booking.countParticipants(tour._id, tourDate)) > tour.maxGroupSize) {
+    await Booking.findByIdAndDelete(booking._id);
+    return next(new AppError('Not enough places left on this date', 400));
+  }
+
+  // 5) Charge the payment provider
+  // If the payment fails, the booking is removed so that its places are free again
+  try {
+    const description = `${tour.name} on ${tourDate.toISOString()}`;
+    const payment = await getPaymentProvider().charge({
+      amount: booking.price,
+      token: paymentToken,
+      description,
+    });
+
+    booking.status = 'paid';
+    booking.paymentId = payment.id;
+    await booking.save();
+  } catch (err) {
+    await Booking.findByIdAndDelete(booking._id);
+    return next(new AppError(`Payment failed: ${err.message}`, 402));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      booking,
+    },
+  });
+});
+
+/**
+ * Controller function to get all bookings of the logged in user.
+ * Route - /api/v1/users/me/bookings
+ */
+const getMyBookings = handleAsyncErrors(async (req, res, next) => {
+  const bookings = await Booking.find({ user: req.user._id }).sort('startDate');
+
+  res.status(200).json({
+    status: 'success',
+    results: bookings.length,
+    data: {
+      bookings,
+    },
+  });
+});
+
+/**
+ * Controller function to get all bookings (for admins and lead guides).
+ * Supports filtering, sorting and pagination e.g. `?status=paid&sort=startDate`.
+ * The newest bookings come first unless another `sort` is given.
+ */
+const getAllBookings = factory.getAll(Booking, { defaultSort: [['createdAt', -1]] });
+
+/**
+ * Controller function to get a single booking by its ID.
+ * - Users can only see their own bookings, admins can see all of them.
+ */
+const getBooking = handleAsyncErrors(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking || !isOwnerOrAdmin(booking, req.user)) {
+    return next(new AppError('No booking found with the given ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking,
+    },
+  });
+});
+
+/**
+ * Controller function to cancel a booking.
+ * - Users can only cancel their own bookings, admins can cancel all of them.
+ * - Paid bookings are refunded through the payment provider.
+ * - The places of a cancelled booking are free again.
+ */
+const cancelBooking = handleAsyncErrors(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking || !isOwnerOrAdmin(booking, req.user)) {
+    return next(new AppError('No booking found with the given ID', 404));
+  }
+
+  if (booking.status === 'cancelled') {
+    return next(new AppError('This booking has already been cancelled', 400));
+  }
+
+  if (booking.status === 'paid' && booking.paymentId) {
+    try {
+      await getPaymentProvider().refund(booking.paymentId);
+    } catch (err) {
+      return next(new AppError(`Refund failed: ${err.message}`, 502));
+    }
+  }
+
+  booking.status = 'cancelled';
+  await booking.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking,
+    },
+  });
+});
+
+/**
+ * Controller function to delete a booking by its ID (for admins).
+ * This removes the booking completely and does not refund it, use `cancelBooking` for that.
+ */
+const deleteBooking = factory.deleteOne(Booking);
+
+module.exports = {
+  createBooking,
+  getMyBookings,
+  getAllBookings,
+  getBooking,
+  cancelBooking,
+  deleteBooking,
+};
@@ -1,4 +1,7 @@
 const AppError = require('./../utils/appError');
+const logger = require('./../utils/logger');
+const { recordError } = require('./../utils/metrics');
+const config = require('./../config');
 
 // Function to generate errors using AppError class
 // for CastError i.e., invalid ObjectId
@@ -31,6 +34,20 @@ const handleJWTError = () => new AppError('Invalid token. Please login again!',
 const handleJWTExpiredError = () =>
   new AppError('Token expired. Please login again!', 401);
 
+// Function that logs the error together with the id of the request, so it can be found with
+// the other log lines of that request (the client gets the id in the `X-Request-Id` header)
+// Operational errors (e.g. 404 Not Found) are expected, so they are only logged for debugging
+// The error is also counted in the `app_errors_total` metric, with the status that is sent
+const logError = (err, req, { isOperational, statusCode }) => {
+  recordError(statusCode, Boolean(isOperational));
+
+  if (isOperational) {
+    logger.debug(err.message, { requestId: req.id, statusCode });
+  } else {
+    logger.error('Unexpected error', { requestId: req.id, err });
+  }
+};
+
 // Function that generates error that will be sent during development
 // In development mode, we provide detailed error information to aid debugging
 const sendErrorDevelopment = (err, res) => {
@@ -55,10 +72,7 @@ const sendErrorProduction = (err, res) => {
     });
   } else {
     // For programming errors, we send a generic error message to the client
-    // And we print the error in the console for us developers to see
-
-    console.error('ERROR!!!!', err);
-
+    // The error itself has already been logged for us developers to see (see `logError`)
     res.status(500).json({
       status: 'fail',
       message: 'Something went very wrong!',
@@ -78,12 +92,11 @@ module.exports = (err, req, res, next) => {
   // If the error object doesn't have a 'status', set it to 'error'
   err.status = err.status || 'error';
 
-  // Check if the application is in development mode
-  if (process.env.NODE_ENV === 'development') {
+  // Detailed errors in development and in the tests, safe messages in production
+  if (!config.isProduction) {
+    logError(err, req, err);
     sendErrorDevelopment(err, res);
-
-    // Check if the application is in production mode
-  } else if (process.env.NODE_ENV === 'production') {
+  } else {
     // Had to do this instead of `let error = {...err}` to copy the err object because
     // the spread operator does a shallow copy and for some reason doesn't copy
     // the "name" property from the err object and god knows what else
@@ -126,6 +139,11 @@ module.exports = (err, req, res, next) => {
       error = handleJWTExpiredError();
     }
 
+    // The original error is logged, because the copy has lost its stack trace
+    logError(err, req, {
+      isOperational: error.isOperational,
+      statusCode: error.isOperational ? error.statusCode : 500,
+    });
     sendErrorProduction(error, res);
   }
 };
@@ -0,0 +1,209 @@
+/**
+ * handlerFactory.js contains factory functions that create the generic CRUD route handlers
+ * (get one, get all, create, update and delete) for any mongoose model.
+ *
+ * Instead of writing almost the same `getTour`, `getUser`, `getReview`... functions over and over,
+ * a controller can simply do:
+ *
+ * ```
+ * const getTour = factory.getOne(Tour, { path: 'reviews' });
+ * const updateUser = factory.updateOne(User, { allowedFields: ['name', 'email'] });
+ * ```
+ *
+ * The name of the model is used for the response and the error messages, e.g. for the `Tour`
+ * model the document is sent as `data.tour` (or `data.tours` for a list) and a missing document
+ * results in "No tour found with the given ID".
+ *
+ * ### Options
+ *
+ * Every factory function accepts an `options` object to customize the handler per route:
+ *   - `allowedFields` (createOne, updateOne) - Array of fields that are taken from `req.body`,
+ *     all other fields are ignored (uses `filterObj`).
+ *   - `filter` (getAll) - Function `(req) => Object` that returns an extra filter for the query,
+ *     e.g. to only return the reviews of a tour on the nested route `/tours/:tourId/reviews`.
+ *   - `defaultSort` (getAll) - The sort order if the client doesn't give a `sort`, as
+ *     `[field, order]` pairs e.g. `[['createdAt', -1]]`. Defaults to `_id`, see `APIFeatures`.
+ *   - `filterFields` (getAll) - Array of fields the client can filter by with the query string,
+ *     see `APIFeatures`. Defaults to the `filterFields` static of the model, e.g. `Tour.filterFields`.
+ *   - `queryOptions` (getOne, getAll, updateOne, deleteOne) - Mongoose query options that are
+ *     set on the query, e.g. `{ includeInactive: true }` for users.
+ *   - `select` (getOne, getAll, updateOne) - Extra field selection, e.g. `'+active'`.
+ */
+
+const AppError = require('./../utils/appError.js');
+const APIFeatures = require('./../utils/apiFeatures.js');
+const handleAsyncErrors = require('./../utils/handleAsyncErrors.js');
+const filterObj = require('./../utils/filterObj.js');
+
+/**
+ * Returns the name that is used for a model in responses and error messages.
+ *
+ * @param {Model} Model - A mongoose model e.g. `Tour`.
+ * @returns {String} - The lower-cased model name e.g. `tour`.
+ */
+const getDocName = (Model) => Model.modelName.toLowerCase();
+
+/**
+ * Applies the `queryOptions` and `select` options to a mongoose query.
+ *
+ * @param {Query} query - A mongoose query.
+ * @param {Object} options - The options passed to the factory function.
+ * @returns {Query} - The same query, for chaining.
+ */
+const applyQueryOptions = (query, { queryOptions, select } = {}) => {
+  if (queryOptions) query.setOptions(queryOptions);
+  if (select) query.select(select);
+  return query;
+};
+
+/**
+ * Creates a handler that gets a single document by the `:id` url parameter.
+ *
+ * @param {Model} Model - The mongoose model.
+ * @param {Object|String} [populateOptions] - Passed to `populate()`, e.g. `{ path: 'reviews' }`.
+ * @param {Object} [options] - `queryOptions` and `select`.
+ * @returns {Function} - Express route handler.
+ */
+const getOne = (Model, populateOptions, options = {}) =>
+  handleAsyncErrors(async (req, res, next) => {
+    let query = applyQueryOptions(Model.findById(req.params.id), options);
+    if (populateOptions) query = query.populate(populateOptions);
+
+    const doc = await query;
+
+    if (!doc) {
+      return next(new AppError(`No ${getDocName(Model)} found with the given ID`, 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        [getDocName(Model)]: doc,
+      },
+    });
+  });
+
+/**
+ * Creates a handler that gets all documents of a model.
+ * Filtering, sorting, field limiting and pagination are applied using the `APIFeatures` class.
+ * The response contains the `pagination` metadata (total, pages or cursors, links).
+ *
+ * @param {Model} Model - The mongoose model.
+ * @param {Object} [options] - `filter`, `defaultSort`, `filterFields`, `queryOptions` and
+ *                             `select`.
+ * @returns {Function} - Express route handler.
+ */
+const getAll = (Model, options = {}) =>
+  handleAsyncErrors(async (req, res, next) => {
+    // Extra filter for this route, e.g. the tour id on nested routes
+    const filter = options.filter ? options.filter(req) : {};
+
+    const features = new APIFeatures(
+      applyQueryOptions(Model.find(filter), options),
+      req.query,
+      { filterFields: options.filterFields || Model.filterFields }
+    )
+      .filter()
+      .sort(options.defaultSort)
+      .limitingFields()
+      .paginate();
+
+    const { docs, pagination } = await features.getResults(req.originalUrl);
+
+    res.status(200).json({
+      status: 'success',
+      results: docs.length,
+      pagination,
+      data: {
+        [`${getDocName(Model)}s`]: docs,
+      },
+    });
+  });
+
+/**
+ * Creates a handler that creates a new document from the request body.
+ *
+ * @param {Model} Model - The mongoose model.
+ * @param {Object} [options] - `allowedFields`.
+ * @returns {Function} - Express route handler.
+ */
+const createOne = (Model, options = {}) =>
+  handleAsyncErrors(async (req, res, next) => {
+    const body = options.allowedFields
+      ? filterObj(req.body, ...options.allowedFields)
+      : req.body;
+
+    const doc = await Model.create(body);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        [getDocName(Model)]: doc,
+      },
+    });
+  });
+
+/**
+ * Creates a handler that updates a document by the `:id` url parameter.
+ * Validators are run on the update and the updated document is sent back.
+ *
+ * @param {Model} Model - The mongoose model.
+ * @param {Object} [options] - `allowedFields`, `queryOptions` and `select`.
+ * @returns {Function} - Express route handler.
+ */
+const updateOne = (Model, options = {}) =>
+  handleAsyncErrors(async (req, res, next) => {
+    const body = options.allowedFields
+      ? filterObj(req.body, ...options.allowedFields)
+      : req.body;
+
+    const doc = await applyQueryOptions(
+      Model.findByIdAndUpdate(req.params.id, body, {
+        new: true, // Return the updated document
+        runValidators: true, // Run validators to ensure data integrity
+      }),
+      options
+    );
+
+    if (!doc) {
+      return next(new AppError(`No ${getDocName(Model)} found with the given ID`, 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        [getDocName(Model)]: doc,
+      },
+    });
+  });
+
+/**
+ * Creates a handler that deletes a document by the `:id` url parameter.
+ *
+ * @param {Model} Model - The mongoose model.
+ * @param {Object} [options] - `queryOptions`.
+ * @returns {Function} - Express route handler.
+ */
+const deleteOne = (Model, options = {}) =>
+  handleAsyncErrors(async (req, res, next) => {
+    const doc = await applyQueryOptions(Model.findByIdAndDelete(req.params.id), {
+      queryOptions: options.queryOptions,
+    });
+
+    if (!doc) {
+      return next(new AppError(`No ${getDocName(Model)} found with the given ID`, 404));
+    }
+
+    res.status(204).json({
+      status: 'success',
+      data: null,
+    });
+  });
+
+module.exports = {
+  getOne,
+  getAll,
+  createOne,
+  updateOne,
+  deleteOne,
+};
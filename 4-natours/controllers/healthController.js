@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * healthController.js contains the health checks that are used by the container orchestrator
+ * (e.g. Kubernetes) or the load balancer.
+ *
+ * - Liveness (/healthz): the process is running and can answer requests. If it fails, the
+ *   container is restarted.
+ * - Readiness (/readyz): the app can handle requests, i.e. the database is connected and the
+ *   server is not shutting down. If it fails, no new requests are sent to this instance.
+ */
+
+// Names of the mongoose connection states (`mongoose.connection.readyState`)
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Controller function for the liveness check.
+ * Route - GET /healthz
+ */
+const getLiveness = (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+  });
+};
+
+/**
+ * Controller function for the readiness check.
+ * Route - GET /readyz
+ *
+ * Responds with 503 Service Unavailable while the database is not connected, or once the server
+ * has started shutting down (`app.locals.shuttingDown`, set in server.js).
+ */
+const getReadiness = (req, res) => {
+  const database = CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+  const { shuttingDown } = req.app.locals;
+  const ready = database === 'connected' && !shuttingDown;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'unavailable',
+    checks: {
+      database,
+      shuttingDown: Boolean(shuttingDown),
+    },
+  });
+};
+
+module.exports = {
+  getLiveness,
+  getReadiness,
+};
@@ -0,0 +1,34 @@
+const { getQueryStats, resetQueryStats } = require('./../utils/queryTiming.js');
+
+/**
+ * Controller function to get the duration of the database operations (admin only).
+ * Route - GET /api/v1/metrics/queries
+ *
+ * For every model and operation (e.g. `Tour.find`) the number of operations and their total,
+ * average and maximum duration are sent, together with the most recent slow operations.
+ * The numbers are kept in memory, so they start from zero when the server restarts.
+ */
+const getQueryMetrics = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: getQueryStats(),
+  });
+};
+
+/**
+ * Controller function to start measuring the database operations from zero again (admin only).
+ * Route - DELETE /api/v1/metrics/queries
+ */
+const resetQueryMetrics = (req, res) => {
+  resetQueryStats();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+};
+
+module.exports = {
+  getQueryMetrics,
+  resetQueryMetrics,
+};
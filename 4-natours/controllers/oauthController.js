@@ -0,0 +1,383 @@
+/**
+ * oauthController.js is responsible for the social login with OpenID Connect providers
+ *   - logging in (and signing up) users with an account at a provider e.g. Google
+ *   - linking and unlinking provider accounts to and from the profile of a user
+ *
+ * The protocol itself (PKCE, exchanging the code, verifying the ID token) is implemented in
+ * `utils/oidc.js`, the providers are configured in config.env.
+ */
+
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const User = require('./../models/user.model.js');
+const handleAsyncErrors = require('./../utils/handleAsyncErrors.js');
+const AppError = require('./../utils/appError.js');
+const oidc = require('./../utils/oidc.js');
+const config = require('./../config.js');
+const {
+  createAndSendToken,
+  signTwoFactorChallenge,
+  accountLockedError,
+} = require('./authController.js');
+
+// Purpose of the token in the cookie that remembers a login attempt until the callback
+const OIDC_STATE = 'oidc-state';
+const STATE_COOKIE = 'oidcState';
+
+// The cookie is only needed by the callback on the user routes
+const STATE_COOKIE_PATH = '/api/v1/users';
+
+/**
+ * Returns the configured provider of the `:provider` url parameter, or throws a 404 error.
+ *
+ * @param {Object} req - The express request.
+ * @returns {Object} - The provider configuration from `oidc.getProvider`.
+ */
+const getProviderOrFail = (req) => {
+  const provider = oidc.getProvider(String(req.params.provider).toLowerCase());
+
+  if (!provider) {
+    throw new AppError(`The login provider ${req.params.provider} is not available`, 404);
+  }
+
+  return provider;
+};
+
+/**
+ * Starts a login attempt at a provider.
+ *
+ * The state, nonce and PKCE code verifier have to be known again in the callback. They are stored
+ * in a signed, http-only cookie that expires after 10 minutes, so no server-side storage is needed.
+ * The cookie uses `sameSite: 'lax'`, which browsers still send when the provider redirects back.
+ *
+ * @param {Object} req - The express request.
+ * @param {Object} res - The express response, the cookie is set on it.
+ * @param {Object} provider - The provider configuration.
+ * @param {ObjectId} [linkUserId] - The logged in user, if the provider should be linked to them.
+ * @returns {Promise<String>} - The URL of the provider's login page.
+ */
+const startAuthorization = async (req, res, provider, linkUserId) => {
+  const authRequest = oidc.createAuthRequest();
+  const redirectUri =
+    provider.redirectUri ||
+    `${req.protocol}://${req.get('host')}/api/v1/users/oauth/${provider.name}/callback`;
+
+  const authorizationUrl = await oidc.buildAuthorizationUrl(
+    provider,
+    authRequest,
+    redirectUri
+  );
+
+  const stateToken = jwt.sign(
+    {
+      purpose: OIDC_STATE,
+      provider: provider.name,
+      state: authRequest.state,
+      nonce: authRequest.nonce,
+      codeVerifier: authRequest.codeVerifier,
+      redirectUri,
+      linkUserId,
+    },
+    config.jwt.secret,
+    { expiresIn: '10m' }
+  );
+
+  res.cookie(STATE_COOKIE, stateToken, {
+    expires: new Date(Date.now() + 10 * 60 * 1000),
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.isProduction,
+    path: STATE_COOKIE_PATH,
+  });
+
+  return authorizationUrl;
+};
+
+/**
+ * Reads and checks the login attempt from the state cookie in the callback.
+ * The cookie is removed, so every login attempt can only be completed once.
+ *
+ * @param {Object} req - The express request.
+ * @param {Object} res - The express response.
+ * @param {Object} provider - The provider configuration.
+ * @returns {Promise<Object>} - The payload of the state token.
+ */
+const consumeAuthorizationState = async (req, res, provider) => {
+  const stateToken = req.cookies && req.cookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+
+  const invalidState = new AppError(
+    'The login has expired or is invalid. Please try again!',
+    401
+  );
+
+  if (!stateToken) throw invalidState;
+
+  let payload;
+  try {
+    payload = jwt.verify(stateToken, config.jwt.secret);
+  } catch (err) {
+    throw invalidState;
+  }
+
+  // The state in the url must match the cookie, otherwise the callback was not started by this
+  // browser (e.g. an attacker trying to log the victim into the attacker's account)
+  if (
+    payload.purpose !== OIDC_STATE ||
+    payload.provider !== provider.name ||
+    payload.state !== req.query.state
+  ) {
+    throw invalidState;
+  }
+
+  return payload;
+};
+
+/**
+ * Finds the user that has linked the given account at a provider.
+ * The `lockUntil` field is selected, locked users can't log in with a provider either.
+ *
+ * @param {String} provider - The name of the provider.
+ * @param {String} subject - The id of the user at the provider.
+ * @returns {Query}
+ */
+const findUserByOAuthAccount = (provider, subject) =>
+  User.findOne({ oauthAccounts: { $elemMatch: { provider, subject } } }).select(
+    '+lockUntil'
+  );
+
+/**
+ * Controller function to list the configured login providers, e.g. to show the login buttons.
+ * Route - GET /api/v1/users/oauth/providers
+ */
+const getOAuthProviders = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      providers: oidc.getProviderNames(),
+    },
+  });
+};
+
+/**
+ * Controller function that starts the login with a provider by redirecting to its login page.
+ * Route - GET /api/v1/users/oauth/:provider (opened in the browser)
+ */
+const startOAuthLogin = handleAsyncErrors(async (req, res, next) => {
+  const provider = getProviderOrFail(req);
+
+  res.redirect(await startAuthorization(req, res, provider));
+});
+
+/**
+ * Controller function that starts linking a provider to the account of the logged in user.
+ * Route - POST /api/v1/users/me/oauth/:provider
+ *
+ * The client has to open the returned `authorizationUrl` in the browser. After logging in at the
+ * provider, the callback links the provider account instead of logging in.
+ */
+const startOAuthLink = handleAsyncErrors(async (req, res, next) => {
+  const provider = getProviderOrFail(req);
+
+  const authorizationUrl = await startAuthorization(req, res, provider, req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      authorizationUrl,
+    },
+  });
+});
+
+/**
+ * Controller function for the callback the provider redirects to after the login.
+ * Route - GET /api/v1/users/oauth/:provider/callback?code=...&state=...
+ *
+ * 1) The code is exchanged for the ID token, which is verified (see `utils/oidc.js`).
+ * 2) If the login attempt was started by `startOAuthLink`, the provider account is linked to that
+ *    user. Otherwise the user is logged in:
+ *    - with the user that has linked this provider account, or
+ *    - with the user that has the same email address, if the provider has verified it. The
+ *      provider account is linked to them. Unverified addresses are rejected, otherwise anybody
+ *      could take over an account by registering its email address at a provider.
+ *    - with a new user, if nobody has this email address yet.
+ * 3) Users with two-factor authentication still need to complete /login/2fa.
+ *
+ * Deactivated users and users that are locked after too many failed logins can't log in.
+ */
+const oauthCallback = handleAsyncErrors(async (req, res, next) => {
+  const provider = getProviderOrFail(req);
+
+  // The user cancelled the login or the provider refused it
+  if (req.query.error) {
+    return next(
+      new AppError(`Login failed: ${req.query.error_description || req.query.error}`, 401)
+    );
+  }
+
+  const authState = await consumeAuthorizationState(req, res, provider);
+
+  if (!req.query.code) {
+    return next(new AppError('The login provider did not send a code', 400));
+  }
+
+  let claims;
+  try {
+    const tokens = await oidc.exchangeCode(
+      provider,
+      req.query.code,
+      authState.codeVerifier,
+      authState.redirectUri
+    );
+    claims = await oidc.verifyIdToken(provider, tokens.id_token, authState.nonce);
+  } catch (err) {
+    return next(new AppError('The login could not be verified. Please try again!', 401));
+  }
+
+  const account = {
+    provider: provider.name,
+    subject: claims.sub,
+    email: claims.email,
+  };
+  const linkedUser = await findUserByOAuthAccount(account.provider, account.subject);
+
+  // Linking a provider account to the profile of the logged in user
+  if (authState.linkUserId) {
+    if (linkedUser && !linkedUser._id.equals(authState.linkUserId)) {
+      return next(
+        new AppError('This account is already linked to another Natours user', 409)
+      );
+    }
+
+    const user = await User.findById(authState.linkUserId);
+    if (!user) {
+      return next(new AppError('The user for this login no longer exists', 401));
+    }
+
+    if (!linkedUser) {
+      // Only one account per provider, a new one replaces the old one
+      user.oauthAccounts = user.oauthAccounts.filter(
+        (linked) => linked.provider !== provider.name
+      );
+      user.oauthAccounts.push(account);
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Your ${provider.name} account has been linked.`,
+      data: {
+        user,
+      },
+    });
+  }
+
+  // The lockout after failed password logins applies to every way of logging in
+  if (linkedUser && linkedUser.isLocked()) {
+    return next(accountLockedError(linkedUser));
+  }
+
+  let user = linkedUser;
+
+  if (!user) {
+    if (!claims.email) {
+      return next(
+        new AppError(`Your ${provider.name} account did not share an email address`, 400)
+      );
+    }
+
+    // Deactivated users are found as well, so they get an error instead of a new account
+    const existingUser = await User.findOne({ email: claims.email.toLowerCase() })
+      .setOptions({ includeInactive: true })
+      .select('+active +lockUntil');
+
+    if (existingUser && existingUser.active === false) {
+      return next(new AppError('This account has been deactivated', 401));
+    }
+
+    if (existingUser && existingUser.isLocked()) {
+      return next(accountLockedError(existingUser));
+    }
+
+    if (existingUser) {
+      // Both the provider and we must have verified the address. An unverified account may
+      // belong to somebody else who entered (or changed to) this address, linking it would
+      // log the owner of the address into that account.
+      if (claims.email_verified !== true || existingUser.emailVerified === false) {
+        const message =
+          'An account with this email address already exists. Please log in with your ' +
+          'password and link your provider account from your profile.';
+        return next(new AppError(message, 409));
+      }
+
+      existingUser.oauthAccounts.push(account);
+      await existingUser.save({ validateBeforeSave: false });
+      user = existingUser;
+    } else {
+      // Sign up with the provider account. The password is random and unknown to anybody,
+      // the user can set one later using "forgot password".
+      const randomPassword = crypto.randomBytes(32).toString('hex');
+
+      user = await User.create({
+        name: claims.name || claims.email.split('@')[0],
+        email: claims.email,
+        password: randomPassword,
+        passwordConfirm: randomPassword,
+        role: 'user',
+        emailVerified: claims.email_verified === true,
+        oauthAccounts: [account],
+      });
+    }
+  }
+
+  // Two-factor authentication is required no matter how the user logs in
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user._id),
+    });
+  }
+
+  await createAndSendToken(user, 200, req, res);
+});
+
+/**
+ * Controller function to unlink a provider account from the profile of the logged in user.
+ * Route - DELETE /api/v1/users/me/oauth/:provider
+ *
+ * Users who signed up with a provider don't know their password. Before unlinking the last
+ * provider they can set one using "forgot password".
+ */
+const unlinkOAuthProvider = handleAsyncErrors(async (req, res, next) => {
+  const providerName = String(req.params.provider).toLowerCase();
+  const user = await User.findById(req.user._id);
+
+  const remaining = user.oauthAccounts.filter(
+    (linked) => linked.provider !== providerName
+  );
+
+  if (remaining.length === user.oauthAccounts.length) {
+    return next(
+      new AppError(`No ${providerName} account is linked to your profile`, 404)
+    );
+  }
+
+  user.oauthAccounts = remaining;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+module.exports = {
+  getOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  unlinkOAuthProvider,
+};
@@ -0,0 +1,149 @@
+/**
+ * reviewController.js file is responsible for
+ *   - listing the reviews of all tours or of a single tour (nested route)
+ *   - creating, reading, updating and deleting reviews
+ *
+ * The ratings of a tour (`ratingsAverage` and `ratingsQuantity`) are recalculated by the
+ * middlewares defined on the reviewSchema, so none of the handlers here have to care about them.
+ */
+
+const Review = require('./../models/review.model.js');
+const Tour = require('./../models/tour.model.js');
+const handleAsyncErrors = require('./../utils/handleAsyncErrors.js');
+const AppError = require('./../utils/appError.js');
+const filterObj = require('./../utils/filterObj.js');
+const factory = require('./handlerFactory.js');
+
+/**
+ * Checks whether the logged in user is allowed to modify the given review.
+ * Only the author of the review or an admin can edit or delete it.
+ *
+ * @param {Object} review - The review document.
+ * @param {Object} user - The logged in user (`req.user`).
+ * @returns {Boolean}
+ */
+const canModifyReview = (review, user) => {
+  // `review.user` is populated by the query middleware, it is null if the author no longer exists
+  return (
+    user.role === 'admin' || Boolean(review.user && review.user._id.equals(user._id))
+  );
+};
+
+/**
+ * Middleware to set the tour and user ids of a new review.
+ * - The tour id comes from the body or, on the nested route `/tours/:tourId/reviews`, from the url.
+ * - The user id always comes from the logged in user, so nobody can post a review in someone else's name.
+ */
+const setTourUserIds = (req, res, next) => {
+  if (!req.body.tour) req.body.tour = req.params.tourId;
+  req.body.user = req.user._id;
+  next();
+};
+
+/**
+ * Controller function to get all reviews.
+ * - On the nested route `/tours/:tourId/reviews` only the reviews of that tour are returned.
+ * - The newest reviews come first unless another `sort` is given.
+ */
+const getAllReviews = factory.getAll(Review, {
+  filter: (req) => (req.params.tourId ? { tour: req.params.tourId } : {}),
+  defaultSort: [['createdAt', -1]],
+});
+
+/**
+ * Controller function to get a single review by its ID.
+ */
+const getReview = factory.getOne(Review);
+
+/**
+ * Controller function to create a new review.
+ * - Makes sure the tour that is being reviewed actually exists.
+ * - Only the `review`, `rating`, `tour` and `user` fields are saved.
+ * - A second review by the same user for the same tour is rejected by the unique index
+ *   on the reviewSchema.
+ */
+const createReview = handleAsyncErrors(async (req, res, next) => {
+  const tour = await Tour.findById(req.body.tour);
+
+  if (!tour) {
+    return next(new AppError('No tour found with the given ID', 404));
+  }
+
+  const newReview = await Review.create(
+    filterObj(req.body, 'review', 'rating', 'tour', 'user')
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      review: newReview,
+    },
+  });
+});
+
+/**
+ * Controller function to update a review by its ID.
+ * - Only the author of the review or an admin can update it.
+ * - Only the `review` and `rating` fields can be changed, a review can't be moved to another tour or user.
+ */
+const updateReview = handleAsyncErrors(async (req, res, next) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return next(new AppError('No review found with the given ID', 404));
+  }
+
+  if (!canModifyReview(review, req.user)) {
+    return next(new AppError('You can only edit your own reviews', 403));
+  }
+
+  // findByIdAndUpdate triggers the `post(/^findOneAnd/)` hook which recalculates the tour ratings
+  const updatedReview = await Review.findByIdAndUpdate(
+    req.params.id,
+    filterObj(req.body, 'review', 'rating'),
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      review: updatedReview,
+    },
+  });
+});
+
+/**
+ * Controller function to delete a review by its ID.
+ * - Only the author of the review or an admin can delete it.
+ */
+const deleteReview = handleAsyncErrors(async (req, res, next) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return next(new AppError('No review found with the given ID', 404));
+  }
+
+  if (!canModifyReview(review, req.user)) {
+    return next(new AppError('You can only delete your own reviews', 403));
+  }
+
+  // findByIdAndDelete triggers the `post(/^findOneAnd/)` hook which recalculates the tour ratings
+  await Review.findByIdAndDelete(req.params.id);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+module.exports = {
+  getAllReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  setTourUserIds,
+};
@@ -59,9 +59,13 @@
  */
 
 const Tour = require('./../models/tour.model');
+const Booking = require('./../models/booking.model');
 const AppError = require('../utils/appError');
-const APIFeatures = require('./../utils/apiFeatures');
 const handleAsyncErrors = require('./../utils/handleAsyncErrors');
+const APIFeatures = require('./../utils/apiFeatures');
+const { parseSearchQuery, getHighlights } = require('./../utils/textSearch');
+const parseQueryParams = require('./../utils/queryParams');
+const factory = require('./handlerFactory');
 
 /**
  * Middleware to set default query parameters for fetching top 5 cheap tours.
@@ -77,210 +81,441 @@ const aliasTopTours = (req, res, next) => {
   next();
 };
 
+// The fields that can be set when a tour is created or updated. The ratings are calculated
+// from the reviews, the slug from the name, and `secretTour` is not part of the API
+const TOUR_FIELDS = [
+  'name',
+  'duration',
+  'maxGroupSize',
+  'difficulty',
+  'price',
+  'priceDiscount',
+  'summary',
+  'description',
+  'imageCover',
+  'images',
+  'startDates',
+  'startLocation',
+  'locations',
+  'guides',
+];
+
+/**
+ * Controller functions for the basic CRUD operations on tours.
+ * They are created by the generic factory functions in `handlerFactory.js`:
+ * - getAllTours applies filtering, sorting, field limiting and pagination using `APIFeatures`,
+ *   the best rated tours come first unless another `sort` is given.
+ * - getTour also populates the `reviews` virtual field with the reviews of the tour.
+ * - createTour and updateTour only take the `TOUR_FIELDS` from the body.
+ */
+const getAllTours = factory.getAll(Tour, { defaultSort: [['ratingsAverage', -1]] });
+const getTour = factory.getOne(Tour, { path: 'reviews' });
+const createTour = factory.createOne(Tour, { allowedFields: TOUR_FIELDS });
+const updateTour = factory.updateOne(Tour, { allowedFields: TOUR_FIELDS });
+const deleteTour = factory.deleteOne(Tour);
+
+// The fields in the text index of the tour model
+const SEARCH_FIELDS = ['name', 'summary', 'description'];
+
 /**
- * Controller function to get all tours based on query parameters.
- * - Uses the `APIFeatures` class to apply filtering, field limiting, and pagination.
- * - Responds with a JSON object containing the list of tours and their count.
+ * Controller function for the full-text search of tours.
+ * Route - GET /api/v1/tours/search?q=...
+ * e.g. /tours/search?q=forest -snow&difficulty=easy&price[lte]=1000&page=2
+ * - Searches the name, summary and description with the text index of the tour model. Phrases
+ *   ("sea explorer") and excluded words (-snow) are supported, see `utils/textSearch.js`.
+ * - The tours are sorted by relevance (`score`), unless another `sort` is given.
+ * - The other query parameters filter, limit and paginate the results like on getAllTours.
+ * - Every tour contains `highlights`, snippets of the matching fields with the words in <mark>.
  */
-const getAllTours = handleAsyncErrors(async (req, res, next) => {
-  // Create an instance of APIFeatures with the query and request parameters.
-  const features = new APIFeatures(Tour.find(), req.query)
-    .filter() // Apply filtering based on query parameters
-    .sort() // Apply sorting based on query values
-    .limitingFields() // Limit fields to be returned
-    .paginate(); // Implement pagination
-
-  // Execute the query and retrieve the tours
-  const tours = await features.query;
-
-  // Respond with a success status and the list of tours
+const searchTours = handleAsyncErrors(async (req, res, next) => {
+  const { q, ...queryString } = req.query;
+  const search = parseSearchQuery(q);
+
+  // The relevance is selected first, so it can be combined with the excluded fields
+  const features = new APIFeatures(
+    Tour.find({ $text: { $search: search.text } }).select({
+      score: { $meta: 'textScore' },
+    }),
+    queryString,
+    { filterFields: Tour.filterFields }
+  )
+    .filter()
+    .sort([['score', { $meta: 'textScore' }]])
+    .limitingFields()
+    .paginate();
+
+  const { docs, pagination } = await features.getResults(req.originalUrl);
+
+  const tours = docs.map((tour) => ({
+    ...tour.toJSON(),
+    score: tour.get('score'),
+    highlights: getHighlights(tour, SEARCH_FIELDS, search),
+  }));
+
   res.status(200).json({
     status: 'success',
     results: tours.length,
+    pagination,
     data: {
       tours,
     },
   });
 });
 
+// The difficulties of the tours, for the `difficulty` parameter of the reports
+const DIFFICULTIES = Tour.schema.path('difficulty').enumValues;
+
 /**
- * Controller function to get a single tour by its ID.
- * - Finds the tour by its ID from the request parameters.
- * - Responds with the tour data if found.
+ * Returns the conditions on the tours that all reports accept: a minimum rating, the
+ * difficulties and a range of start dates.
+ *
+ * @param {Object} params - From `parseQueryParams`, with `minRating`, `difficulty`, `from`, `to`.
+ * @returns {Object} - The conditions for a `$match` stage, e.g. `{ ratingsAverage: { $gte: 4.5 } }`.
+ * @throws {AppError} - 400 if `from` is not before `to`.
  */
-const getTour = handleAsyncErrors(async (req, res, next) => {
-  // Find a single tour by ID
-  const tour = await Tour.findById(req.params.id);
-
-  // If no tour found then create an error object using the
-  // AppError class and pass in the next function to be
-  // handled by the global error handler middleware
-  if (!tour) {
-    return next(new AppError('No tour found with the given ID', 404));
+const buildReportFilter = ({ minRating, difficulty, from, to }) => {
+  const filter = {};
+
+  if (minRating !== undefined) filter.ratingsAverage = { $gte: minRating };
+  if (difficulty) filter.difficulty = { $in: difficulty };
+
+  if (from && to && from >= to) {
+    throw new AppError('Invalid parameters: from must be before to', 400);
   }
 
-  // Respond with the tour data if found
-  res.status(200).json({
-    status: 'success',
-    data: {
-      tour,
-    },
-  });
-});
+  // Tours with at least one start date in the range
+  if (from || to) {
+    filter.startDates = {
+      $elemMatch: { ...(from && { $gte: from }), ...(to && { $lt: to }) },
+    };
+  }
+
+  return filter;
+};
 
 /**
- * Controller function to create a new tour.
- * - Creates a new tour document with the data provided in the request body.
- * - Responds with the newly created tour data.
+ * Returns the `$sort` stage of a report.
+ *
+ * @param {Object} [sort] - `{ field, order }` from `parseQueryParams`.
+ * @param {String[]} metrics - The metrics that are computed, only they can be sorted by.
+ * @param {String} groupName - The name of the `_id` of the groups for the `sort` parameter,
+ *                             e.g. `group` or `month`.
+ * @param {String} defaultMetric - Sorted by in descending order if no `sort` is given, or by
+ *                                 the first metric if this one is not computed.
+ * @returns {Object}
+ * @throws {AppError} - 400 if the results are sorted by a metric that is not computed.
  */
-const createTour = handleAsyncErrors(async (req, res, next) => {
-  // Create a new tour with the request body data
-  const newTour = await Tour.create(req.body);
+const buildReportSort = (sort, metrics, groupName, defaultMetric) => {
+  const { field, order } = sort || {
+    field: metrics.includes(defaultMetric) ? defaultMetric : metrics[0],
+    order: -1,
+  };
 
-  // Respond with the created tour data
-  res.status(201).json({
-    status: 'success',
-    data: {
-      tour: newTour,
-    },
-  });
-});
+  if (field !== groupName && !metrics.includes(field)) {
+    throw new AppError(
+      `Invalid parameters: sort by ${field} requires ${field} in metrics`,
+      400
+    );
+  }
+
+  // The groups are the tie-breaker, so the order doesn't change between requests
+  return field === groupName
+    ? { $sort: { _id: order } }
+    : { $sort: { [field]: order, _id: 1 } };
+};
+
+// The fields the tour statistics can be grouped by
+const STATISTICS_GROUPS = {
+  difficulty: { $toUpper: '$difficulty' },
+  duration: '$duration',
+  maxGroupSize: '$maxGroupSize',
+};
+
+// The metrics the tour statistics can compute for every group
+const STATISTICS_METRICS = {
+  totalTours: { $sum: 1 }, // Number of tours
+  totalRatings: { $sum: '$ratingsQuantity' }, // Number of ratings of all tours
+  avgRating: { $avg: '$ratingsAverage' },
+  avgPrice: { $avg: '$price' },
+  minPrice: { $min: '$price' },
+  maxPrice: { $max: '$price' },
+};
 
 /**
- * Controller function to update an existing tour by its ID.
- * - Updates the tour with the data provided in the request body.
- * - Responds with the updated tour data.
+ * Controller function to calculate tour statistics.
+ * Route - GET /api/v1/tours/tour-stats
+ * e.g. /tour-stats?groupBy=duration&minRating=4&metrics=totalTours,avgPrice&sort=-totalTours
+ * - `groupBy` - difficulty (default, in upper case), duration or maxGroupSize. The value of the
+ *   group is the `_id` of the results.
+ * - `minRating` - Only tours with at least this average rating (1-5, default 4.5).
+ * - `difficulty` - Only tours with these difficulties, e.g. `medium,difficult`.
+ * - `from`, `to` - Only tours that start at least once in this range (`to` is excluded).
+ * - `metrics` - The statistics to compute, default all of `STATISTICS_METRICS`.
+ * - `sort` - A computed metric or `group`, with a `-` for descending order. Default -avgPrice,
+ *   or the first metric in descending order if avgPrice is not computed.
+ * Unknown parameters and invalid values are rejected with a 400 error.
  */
-const updateTour = handleAsyncErrors(async (req, res, next) => {
-  // Update the tour by ID and return the updated document
-  const tour = await Tour.findByIdAndUpdate(req.params.id, req.body, {
-    new: true, // Return the updated document
-    runValidators: true, // Run validators to ensure data integrity
+const getTourStatistics = handleAsyncErrors(async (req, res, next) => {
+  const metricNames = Object.keys(STATISTICS_METRICS);
+  const params = parseQueryParams(req.query, {
+    groupBy: {
+      type: 'enum',
+      values: Object.keys(STATISTICS_GROUPS),
+      default: 'difficulty',
+    },
+    minRating: { type: 'number', min: 1, max: 5, default: 4.5 },
+    difficulty: { type: 'list', values: DIFFICULTIES },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    metrics: { type: 'list', values: metricNames, default: metricNames },
+    sort: { type: 'sort', values: ['group', ...metricNames] },
   });
 
-  // If no tour found to update then create an error object using the
-  // AppError class and pass in the next function to be
-  // handled by the global error handler middleware
-  if (!tour) {
-    return next(new AppError('No tour found with the given ID', 404));
-  }
+  const match = buildReportFilter(params);
+  const sort = buildReportSort(params.sort, params.metrics, 'group', 'avgPrice');
 
-  // Respond with the updated tour data
+  // Start the aggregation pipeline for the `Tour` model
+  const stats = await Tour.aggregate([
+    // Match stage: Filter the tours by their rating, difficulty and start dates
+    {
+      $match: match,
+    },
+    // Group stage: Group the tours by the selected field and compute the selected metrics
+    {
+      $group: {
+        _id: STATISTICS_GROUPS[params.groupBy],
+        ...Object.fromEntries(
+          params.metrics.map((metric) => [metric, STATISTICS_METRICS[metric]])
+        ),
+      },
+    },
+    // Sort stage: Sort the groups by the selected metric
+    sort,
+  ]);
+
+  // Send the aggregated statistics as the response
   res.status(200).json({
     status: 'success',
+    results: stats.length,
     data: {
-      tour,
+      stats,
     },
   });
 });
 
+// The buckets of the numeric facets. Every bucket contains the values from its boundary up to
+// (not including) the next one, the last bucket has no upper limit.
+const FACET_BUCKETS = {
+  duration: { field: 'duration', boundaries: [1, 4, 8, 15] }, // days
+  price: { field: 'price', boundaries: [0, 500, 1000, 1500, 2000] },
+  ratingsAverage: { field: 'ratingsAverage', boundaries: [1, 3, 4, 4.5] },
+};
+
+// The fields that have a facet. The filter of a facet's own field is not applied to its
+// counts, so the other values can still be counted once one is selected.
+const FACET_FIELDS = ['difficulty', 'duration', 'price', 'ratingsAverage', 'startDates'];
+
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
 /**
- * Controller function to delete a tour by its ID.
- * - Deletes the tour document identified by the request parameters.
- * - Responds with a success status and no data upon successful deletion.
+ * Returns the filter without the conditions on the given field.
+ *
+ * @param {Object} filter - A mongo filter from `APIFeatures.getFilter`.
+ * @param {String} field - e.g. `price`.
+ * @returns {Object}
  */
-const deleteTour = handleAsyncErrors(async (req, res, next) => {
-  // Delete the tour by ID
-  const tour = await Tour.findByIdAndDelete(req.params.id);
-
-  // If no tour found to delete then create an error object using the
-  // AppError class and pass in the next function to be
-  // handled by the global error handler middleware
-  if (!tour) {
-    return next(new AppError('No tour found with the given ID', 404));
-  }
-
-  // Respond with a success status and no content
-  res.status(204).json({
-    status: 'success',
-    data: null,
-  });
-});
+const omitField = (filter, field) =>
+  Object.fromEntries(Object.entries(filter).filter(([key]) => key !== field));
 
 /**
- * Controller function to calculate tour statistics.
- * - Aggregates data to calculate statistics like the average rating,
- *   average price, total number of tours, etc.
- * - Filters tours with a rating average greater than or equal to 4.5.
- * - Groups data by difficulty level and performs calculations for each group.
- * - Sorts the results by average price in descending order.
- * - Excludes results with a difficulty level of 'EASY'.
+ * Controller function to count the tours per value of the filters of the catalogue, e.g. to
+ * show "easy (3) · medium (4)" next to the filters.
+ * Route - GET /api/v1/tours/facets
+ * e.g. /tours/facets?difficulty=easy&price[lte]=1000
+ * - Accepts the same filters as getAllTours (see `APIFeatures`).
+ * - Uses a `$facet` stage to count the tours per difficulty, duration bucket, price bucket,
+ *   ratings bucket and start month in a single aggregation.
+ * - The counts of a facet respect all filters except the one on its own field. So with
+ *   `?difficulty=easy` the difficulty facet still counts medium and difficult tours (the
+ *   number of tours the user would get by selecting them), while all other facets only count
+ *   easy tours. `total` is the number of tours matching all filters.
  */
-const getTourStatistics = handleAsyncErrors(async (req, res, next) => {
-  // Start the aggregation pipeline for the `Tour` model
-  const stats = await Tour.aggregate([
-    // Match stage: Filter tours that have an average rating of at least 4.5
-    {
-      $match: { ratingsAverage: { $gte: 4.5 } },
-    },
-    // Group stage: Group tours by their difficulty level (converted to uppercase)
-    // and calculate statistics like total tours, total ratings, average rating, etc.
+const getTourFacets = handleAsyncErrors(async (req, res, next) => {
+  const filter = APIFeatures.getFilter(req.query, Tour.schema, Tour.filterFields);
+
+  // The filters on fields without a facet apply to everything
+  const isFacetField = ([field]) => FACET_FIELDS.includes(field);
+  const commonFilter = Object.fromEntries(
+    Object.entries(filter).filter((entry) => !isFacetField(entry))
+  );
+  const facetFilter = Object.fromEntries(Object.entries(filter).filter(isFacetField));
+  const matchFacet = (field) => ({ $match: omitField(facetFilter, field) });
+
+  const bucketFacet = ({ field, boundaries }) => [
+    matchFacet(field),
     {
-      $group: {
-        _id: { $toUpper: '$difficulty' }, // Group by difficulty level in uppercase
-        totalTours: { $sum: 1 }, // Count the total number of tours in each group
-        totalRatings: { $sum: '$ratingsQuantity' }, // Sum up the total number of ratings
-        avgRating: { $avg: '$ratingsAverage' }, // Calculate the average rating
-        avgPrice: { $avg: '$price' }, // Calculate the average price
-        minPrice: { $min: '$price' }, // Find the minimum price
-        maxPrice: { $max: '$price' }, // Find the maximum price
+      $bucket: {
+        groupBy: `$${field}`,
+        // The last boundary is the (excluded) upper limit of the last bucket
+        boundaries: [...boundaries, Number.MAX_VALUE],
+        // Values below the first boundary, or without a value
+        default: 'other',
+        output: { count: { $sum: 1 } },
       },
     },
-    // Sort stage: Sort the groups by the average price in descending order
+  ];
+
+  const [facets] = await Tour.aggregate([
+    // Match stage: Only the tours matching the filters on fields without a facet
     {
-      $sort: { avgPrice: -1 },
+      $match: commonFilter,
     },
-    // Match stage: Exclude the 'EASY' difficulty level from the final results
+    // Facet stage: Run several pipelines on the same tours, each one returns an array
     {
-      $match: { _id: { $ne: 'EASY' } },
+      $facet: {
+        total: [{ $match: facetFilter }, { $count: 'count' }],
+        difficulty: [
+          matchFacet('difficulty'),
+          { $group: { _id: '$difficulty', count: { $sum: 1 } } },
+        ],
+        duration: bucketFacet(FACET_BUCKETS.duration),
+        price: bucketFacet(FACET_BUCKETS.price),
+        ratingsAverage: bucketFacet(FACET_BUCKETS.ratingsAverage),
+        // A tour with several start dates in the same month is counted once for that month
+        startMonth: [
+          matchFacet('startDates'),
+          { $unwind: '$startDates' },
+          {
+            $group: {
+              _id: { $month: '$startDates' },
+              tours: { $addToSet: '$_id' },
+            },
+          },
+          { $project: { count: { $size: '$tours' } } },
+        ],
+      },
     },
   ]);
 
-  // Send the aggregated statistics as the response
+  // The values without tours are missing in the results, they are added with a count of 0
+  const countOf = (results, value) => {
+    const result = results.find((item) => item._id === value);
+    return result ? result.count : 0;
+  };
+
+  const toBuckets = (results, { boundaries }) =>
+    boundaries.map((min, i) => ({
+      min,
+      max: i < boundaries.length - 1 ? boundaries[i + 1] : null,
+      count: countOf(results, min),
+    }));
+
   res.status(200).json({
     status: 'success',
     data: {
-      stats,
+      total: facets.total.length > 0 ? facets.total[0].count : 0,
+      facets: {
+        difficulty: DIFFICULTIES.map((value) => ({
+          value,
+          count: countOf(facets.difficulty, value),
+        })),
+        duration: toBuckets(facets.duration, FACET_BUCKETS.duration),
+        price: toBuckets(facets.price, FACET_BUCKETS.price),
+        ratingsAverage: toBuckets(facets.ratingsAverage, FACET_BUCKETS.ratingsAverage),
+        startMonth: MONTH_NAMES.map((name, i) => ({
+          month: i + 1,
+          name,
+          count: countOf(facets.startMonth, i + 1),
+        })),
+      },
     },
   });
 });
 
+// The metrics the monthly plan can compute for every month
+const MONTHLY_PLAN_METRICS = {
+  totalTours: { $sum: 1 }, // Number of tours that start in the month
+  avgPrice: { $avg: '$price' },
+  capacity: { $sum: '$maxGroupSize' }, // Number of places of all these tours
+};
+
 /**
  * Controller function to get a monthly plan for tours in a given year.
- * - Filters tours based on their start dates to match the specified year.
- * - Groups the tours by the month they start.
- * - Calculates the total number of tours for each month.
- * - Returns the names of the tours and the month they belong to.
+ * Route - GET /api/v1/tours/monthly-plan/:year
+ * e.g. /monthly-plan/2021?metrics=totalTours,capacity&sort=month&tours=false
+ * - `:year` - A year from 1970 to 9999, anything else is rejected with a 400 error.
+ * - `minRating` - Only tours with at least this average rating (1-5).
+ * - `difficulty` - Only tours with these difficulties, e.g. `easy,medium`.
+ * - `metrics` - totalTours (default), avgPrice and capacity (the places of all tours).
+ * - `sort` - A computed metric or `month`, with a `-` for descending order. Default -totalTours,
+ *   or the first metric in descending order if totalTours is not computed.
+ * - `tours` - Whether every month contains the names of its tours (default true).
  */
 const getMonthlyPlan = handleAsyncErrors(async (req, res, next) => {
-  // Parse the year from the request parameters and convert it to a number
-  const year = Number(req.params.year);
+  const { year } = parseQueryParams(
+    { year: req.params.year },
+    { year: { type: 'integer', min: 1970, max: 9999 } }
+  );
+
+  const metricNames = Object.keys(MONTHLY_PLAN_METRICS);
+  const params = parseQueryParams(req.query, {
+    minRating: { type: 'number', min: 1, max: 5 },
+    difficulty: { type: 'list', values: DIFFICULTIES },
+    metrics: { type: 'list', values: metricNames, default: ['totalTours'] },
+    sort: { type: 'sort', values: ['month', ...metricNames] },
+    tours: { type: 'boolean', default: true },
+  });
+
+  // The start dates from the 1st of January up to (not including) the next 1st of January
+  const from = new Date(Date.UTC(year, 0, 1));
+  const to = new Date(Date.UTC(year + 1, 0, 1));
+
+  const match = buildReportFilter({ ...params, from, to });
+  const sort = buildReportSort(params.sort, params.metrics, 'month', 'totalTours');
 
   // Start the aggregation pipeline for the `Tour` model
   const plan = await Tour.aggregate([
+    // Match stage: Only the tours that start in the year (and match the other filters), so the
+    // start dates of all tours don't have to be unwound
+    {
+      $match: match,
+    },
     // Unwind stage: Deconstruct the `startDates` array so that each date
     // becomes a separate document
     {
       $unwind: '$startDates',
     },
-    // Match stage: Filter tours that have start dates within the specified year
+    // Match stage: Filter the start dates within the specified year
     {
-      $match: {
-        startDates: {
-          $gte: new Date(`${year}-01-01`), // Start of the year
-          $lte: new Date(`${year}-12-31`), // End of the year
-        },
-      },
+      $match: { startDates: { $gte: from, $lt: to } },
     },
     // Group stage: Group tours by the month of their start date
-    // and calculate the total number of tours for each month
+    // and compute the selected metrics for each month
     {
       $group: {
         _id: { $month: '$startDates' }, // Group by the month (from the start date)
-        totalTours: { $sum: 1 }, // Count the total number of tours in each group
-        tours: { $push: '$name' }, // Collect the names of the tours in each group
+        ...Object.fromEntries(
+          params.metrics.map((metric) => [metric, MONTHLY_PLAN_METRICS[metric]])
+        ),
+        // Collect the names of the tours in each group
+        ...(params.tours && { tours: { $push: '$name' } }),
       },
     },
+    // Sort stage: Sort the months by the selected metric
+    sort,
     // AddFields stage: Add the month field to the results
     {
       $addFields: { month: '$_id' }, // Rename the `_id` field to `month`
@@ -291,21 +526,281 @@ const getMonthlyPlan = handleAsyncErrors(async (req, res, next) => {
         _id: 0, // Exclude the `_id` field
       },
     },
-    // Sort stage: Sort the results by the total number of tours in descending order
-    {
-      $sort: { totalTours: -1 },
-    },
   ]);
 
   // Send the aggregated monthly plan as the response
   res.status(200).json({
     status: 'success',
+    results: plan.length,
     data: {
       plan,
     },
   });
 });
 
+// The metrics of the revenue report, see `getRevenueReport`
+const REVENUE_METRICS = [
+  'departures',
+  'capacity',
+  'bookings',
+  'participants',
+  'revenue',
+  'occupancy',
+];
+
+// The fields the revenue report can be grouped by
+const REVENUE_GROUPS = {
+  tour: '$_id',
+  // Year and month, because the range can span several years, e.g. `2021-06`
+  month: { $dateToString: { format: '%Y-%m', date: '$startDates' } },
+};
+
+/**
+ * Controller function for the revenue and occupancy of the tours.
+ * Route - GET /api/v1/tours/revenue-report
+ * e.g. /revenue-report?from=2021-01-01&to=2022-01-01&groupBy=month&sort=-occupancy
+ * Every start date of a tour in the range is a departure with `maxGroupSize` places. The
+ * bookings of a departure are those of the tour with the same start date:
+ * - `departures` - Number of start dates.
+ * - `capacity` - Number of places of all departures.
+ * - `bookings` - Number of bookings that are not cancelled.
+ * - `participants` - Number of booked places (of the bookings that are not cancelled).
+ * - `revenue` - Sum of the prices of the paid bookings.
+ * - `occupancy` - participants / capacity, from 0 to 1.
+ * Parameters:
+ * - `from`, `to` - The range of the start dates (`to` is excluded), default the current year.
+ * - `groupBy` - tour (default, with the name of the tour) or month.
+ * - `minRating`, `difficulty` - Only the tours with this rating and these difficulties.
+ * - `metrics` - The metrics to return, default all.
+ * - `sort` - A returned metric or `group`, with a `-` for descending order. Default -revenue,
+ *   or the first metric in descending order if revenue is not returned.
+ */
+const getRevenueReport = handleAsyncErrors(async (req, res, next) => {
+  const params = parseQueryParams(req.query, {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    groupBy: { type: 'enum', values: Object.keys(REVENUE_GROUPS), default: 'tour' },
+    minRating: { type: 'number', min: 1, max: 5 },
+    difficulty: { type: 'list', values: DIFFICULTIES },
+    metrics: { type: 'list', values: REVENUE_METRICS, default: REVENUE_METRICS },
+    sort: { type: 'sort', values: ['group', ...REVENUE_METRICS] },
+  });
+
+  const currentYear = new Date().getUTCFullYear();
+  const from = params.from || new Date(Date.UTC(currentYear, 0, 1));
+  const to = params.to || new Date(Date.UTC(currentYear + 1, 0, 1));
+
+  const match = buildReportFilter({ ...params, from, to });
+  const sort = buildReportSort(params.sort, params.metrics, 'group', 'revenue');
+
+  const report = await Tour.aggregate([
+    // Match stage: Only the tours with a start date in the range (and matching the filters)
+    {
+      $match: match,
+    },
+    // Unwind stage: Every start date in the range is a departure
+    {
+      $unwind: '$startDates',
+    },
+    {
+      $match: { startDates: { $gte: from, $lt: to } },
+    },
+    // Lookup stage: Add up the bookings of the departure, which is matched by the tour and the
+    // start date (using the `{ tour, startDate }` index of the bookings)
+    {
+      $lookup: {
+        from: Booking.collection.name,
+        let: { tourId: '$_id', startDate: '$startDates' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$tour', '$$tourId'] },
+                  { $eq: ['$startDate', '$$startDate'] },
+                ],
+              },
+              status: { $ne: 'cancelled' },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              bookings: { $sum: 1 },
+              participants: { $sum: '$participants' },
+              // Pending bookings reserve places, but only paid ones are revenue
+              revenue: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$price', 0] } },
+            },
+          },
+        ],
+        as: 'sales',
+      },
+    },
+    // Unwind stage: The departures without bookings are kept, their sums are 0
+    {
+      $unwind: { path: '$sales', preserveNullAndEmptyArrays: true },
+    },
+    // Group stage: Add up the departures of the tour or the month
+    {
+      $group: {
+        _id: REVENUE_GROUPS[params.groupBy],
+        ...(params.groupBy === 'tour' && { name: { $first: '$name' } }),
+        departures: { $sum: 1 },
+        capacity: { $sum: '$maxGroupSize' },
+        bookings: { $sum: '$sales.bookings' },
+        participants: { $sum: '$sales.participants' },
+        revenue: { $sum: '$sales.revenue' },
+      },
+    },
+    // AddFields stage: The share of the places that are booked
+    {
+      $addFields: {
+        occupancy: {
+          $cond: [
+            { $gt: ['$capacity', 0] },
+            { $round: [{ $divide: ['$participants', '$capacity'] }, 4] },
+            0,
+          ],
+        },
+      },
+    },
+    // Project stage: Only the selected metrics
+    {
+      $project: {
+        ...(params.groupBy === 'tour' && { name: 1 }),
+        ...Object.fromEntries(params.metrics.map((metric) => [metric, 1])),
+      },
+    },
+    // Sort stage: Sort the groups by the selected metric
+    sort,
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: report.length,
+    data: {
+      from,
+      to,
+      report,
+    },
+  });
+});
+
+// Radius of the earth in miles and kilometers
+// Used to convert a distance into radians, which is what `$centerSphere` expects
+const EARTH_RADIUS = { mi: 3963.2, km: 6378.1 };
+
+// Multipliers to convert meters (the unit `$geoNear` returns distances in) into miles or kilometers
+const METERS_TO_UNIT = { mi: 0.000621371, km: 0.001 };
+
+/**
+ * Parses the `:latlng` and `:unit` url parameters of the geospatial routes.
+ *
+ * @param {Object} params - The request parameters (`req.params`).
+ * @returns {Object} - `{ lat, lng, unit }` or `{ error }` with an AppError if the parameters are invalid.
+ */
+const parseGeoParams = ({ latlng, unit }) => {
+  // The coordinates are passed as "latitude,longitude" e.g. 34.111745,-118.113491
+  const [lat, lng] = (latlng || '').split(',').map((coord) => Number(coord));
+
+  if (
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return {
+      error: new AppError(
+        'Please provide latitude and longitude in the format lat,lng e.g. 34.111745,-118.113491',
+        400
+      ),
+    };
+  }
+
+  if (!Object.keys(EARTH_RADIUS).includes(unit)) {
+    return { error: new AppError('Unit must be either mi or km', 400) };
+  }
+
+  return { lat, lng, unit };
+};
+
+/**
+ * Controller function to get all tours that start within a certain distance of a point.
+ * Route - /tours-within/:distance/center/:latlng/unit/:unit
+ * e.g. /tours-within/400/center/34.111745,-118.113491/unit/mi
+ * - Uses the `$geoWithin` operator with `$centerSphere` to find the tours whose start location
+ *   is within a sphere around the given point.
+ */
+const getToursWithin = handleAsyncErrors(async (req, res, next) => {
+  const { lat, lng, unit, error } = parseGeoParams(req.params);
+  if (error) return next(error);
+
+  const distance = Number(req.params.distance);
+  if (!Number.isFinite(distance) || distance <= 0) {
+    return next(new AppError('Distance must be a positive number', 400));
+  }
+
+  // `$centerSphere` expects the radius in radians, which is the distance divided by the radius of the earth
+  const radius = distance / EARTH_RADIUS[unit];
+
+  const tours = await Tour.find({
+    startLocation: { $geoWithin: { $centerSphere: [[lng, lat], radius] } },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: tours.length,
+    data: {
+      tours,
+    },
+  });
+});
+
+/**
+ * Controller function to get the distance from a point to the start location of all tours.
+ * Route - /distances/:latlng/unit/:unit
+ * e.g. /distances/34.111745,-118.113491/unit/km
+ * - Uses the `$geoNear` aggregation stage which calculates the distance (in meters) and sorts
+ *   the tours from nearest to farthest. The distance is converted to miles or kilometers
+ *   using the `distanceMultiplier` option.
+ */
+const getDistances = handleAsyncErrors(async (req, res, next) => {
+  const { lat, lng, unit, error } = parseGeoParams(req.params);
+  if (error) return next(error);
+
+  const distances = await Tour.aggregate([
+    // GeoNear stage: It must be the first stage of the pipeline and it requires a geospatial
+    // index. The `key` option tells MongoDB which geospatial index to use.
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: [lng, lat],
+        },
+        key: 'startLocation',
+        distanceField: 'distance',
+        distanceMultiplier: METERS_TO_UNIT[unit],
+      },
+    },
+    // Project stage: Only keep the name of the tour and the calculated distance
+    {
+      $project: {
+        distance: 1,
+        name: 1,
+      },
+    },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: distances.length,
+    data: {
+      unit,
+      distances,
+    },
+  });
+});
+
 // Exporting the controller functions for use in routing
 module.exports = {
   getAllTours,
@@ -313,7 +808,12 @@ module.exports = {
   createTour,
   updateTour,
   deleteTour,
+  searchTours,
   aliasTopTours,
   getTourStatistics,
+  getTourFacets,
   getMonthlyPlan,
+  getRevenueReport,
+  getToursWithin,
+  getDistances,
 };
@@ -1,30 +1,62 @@
+const crypto = require('node:crypto');
 const User = require('./../models/user.model.js');
 const handleAsyncErrors = require('./../utils/handleAsyncErrors.js');
 const AppError = require('./../utils/appError.js');
+const sendEmail = require('./../utils/email.js');
+const filterObj = require('./../utils/filterObj.js');
+const factory = require('./handlerFactory.js');
+const { startEmailVerification } = require('./authController.js');
+
+// The admin routes work on deactivated users as well (see the `pre(/^find/)` hook in the
+// userSchema), and they show the `active` field which is hidden by default
+const adminQueryOptions = {
+  queryOptions: { includeInactive: true },
+  select: '+active',
+};
 
 /**
- * Filters an object to include only specified fields.
+ * Checks if there is an active admin other than the given user. The last active admin can't be
+ * demoted, deactivated or deleted, otherwise nobody could manage the users anymore.
  *
- * @param {Object} obj - The original object to filter.
- * @param {...string} allowedFields - A list of allowed field names.
- * @returns {Object} - A new object containing only the allowed fields from the original object.
+ * @param {Object} user - The admin who would lose their admin rights.
+ * @returns {Promise<Boolean>}
+ */
+const hasOtherActiveAdmin = async (user) => {
+  // The `pre(/^find|^countDocuments$/)` hook of the userSchema leaves out deactivated users
+  const otherAdmins = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: 'admin',
+  });
+
+  return otherAdmins > 0;
+};
+
+/**
+ * Saves the changes to a user and, if the email address changed, sends the link to verify the
+ * new address (the userSchema marks it as not verified).
  *
- * @example
- * // Example usage:
- * const obj = { name: 'Alice', email: 'alice@example.com', password: '12345' };
- * const filteredObj = filterObj(obj, 'name', 'email');
- * // filteredObj = { name: 'Alice', email: 'alice@example.com' }
+ * @param {Object} user - The user document, with the changes set.
+ * @param {Object} req - Express request object, used to build the verification URL.
+ * @returns {Promise<String|undefined>} - A message for the response if the email changed.
  */
-const filterObj = (obj, ...allowedFields) => {
-  return Object.fromEntries(
-    Object.entries(obj).filter(([key]) => allowedFields.includes(key))
-  );
+const saveUserChanges = async (user, req) => {
+  const emailChanged = user.isModified('email');
+
+  // Only the changed fields are validated, `passwordConfirm` is never stored
+  await user.save({ validateModifiedOnly: true });
+
+  if (!emailChanged) return undefined;
+
+  return (await startEmailVerification(user, req, { emailChanged: true }))
+    ? 'A link to verify the new email address has been sent to it.'
+    : 'The link to verify the new email address could not be sent. Use /resend-verification.';
 };
 
 /**
  * Controller function to handle profile updates for a user updateMe is an asynchronous function
  *  that allows users to update only specific fields (e.g., 'name' and 'email') and prevents
  * updates to restricted fields like 'password' and 'passwordConfirm'.
+ * A new email address has to be verified again before the user can create content.
  */
 const updateMe = handleAsyncErrors(async (req, res, next) => {
   // If the request body contains 'password' or 'passwordConfirm', exit the function.
@@ -43,18 +75,17 @@ const updateMe = handleAsyncErrors(async (req, res, next) => {
   // This ensures that only allowed fields are updated.
   const filteredBody = filterObj(req.body, 'name', 'email');
 
-  // Update the user's profile using their ID, passing in filteredBody to ensure
-  // only allowed fields are updated.
-  // The options { new: true, runValidators: true } return the updated document
-  // and run validation checks.
-  const updatedUser = await User.findByIdAndUpdate(req.user._id, filteredBody, {
-    new: true,
-    runValidators: true,
-  });
+  // Update the user's profile, passing in filteredBody to ensure only allowed fields are updated.
+  // The document is saved (instead of `findByIdAndUpdate`) so the save hooks of the userSchema
+  // notice a changed email address.
+  const updatedUser = await User.findById(req.user._id);
+  updatedUser.set(filteredBody);
+  const message = await saveUserChanges(updatedUser, req);
 
   // Send a success response with the updated user data
   res.status(200).json({
     status: 'success',
+    message,
     data: {
       user: updatedUser,
     },
@@ -68,8 +99,13 @@ const updateMe = handleAsyncErrors(async (req, res, next) => {
  * from the database but is instead flagged as inactive, allowing future reactivation
  * or retention of associated data.
  * Sends a 204 status response indicating successful operation with no content.
+ * The last active admin can't deactivate their account.
  */
 const deleteMe = handleAsyncErrors(async (req, res, next) => {
+  if (req.user.role === 'admin' && !(await hasOtherActiveAdmin(req.user))) {
+    return next(new AppError('The last remaining admin can not be deactivated', 400));
+  }
+
   await User.findByIdAndUpdate(req.user._id, { active: false });
 
   res.status(204).json({
@@ -78,50 +114,235 @@ const deleteMe = handleAsyncErrors(async (req, res, next) => {
   });
 });
 
-// function to get all users
-const getAllUsers = handleAsyncErrors(async (req, res) => {
-  const users = await User.find();
+/**
+ * Middleware that rejects requests that try to set a password on the admin user routes.
+ * Passwords can only be set by the users themselves, through /updateMyPassword or the
+ * forgot/reset password flow.
+ */
+const rejectPasswordFields = (req, res, next) => {
+  if (req.body.password || req.body.passwordConfirm) {
+    return next(
+      new AppError(
+        'Passwords can not be set through this route. Users have to reset their own password.',
+        400
+      )
+    );
+  }
+
+  next();
+};
+
+/**
+ * Middleware that stops admins from deleting their own account on the admin user routes.
+ * They can use /deleteMe for that.
+ */
+const preventSelfDelete = (req, res, next) => {
+  if (req.user._id.equals(req.params.id)) {
+    return next(new AppError('You can not delete your own account with this route', 400));
+  }
+
+  next();
+};
+
+/**
+ * Controller functions for the admin user routes, created by the factory functions in
+ * `handlerFactory.js`. Deactivated users are included in all of them:
+ * - getAllUsers applies filtering, sorting, field limiting and pagination using `APIFeatures`,
+ *   so admins can list the deactivated users with `?active=false`.
+ */
+const getAllUsers = factory.getAll(User, adminQueryOptions);
+const getUser = factory.getOne(User, null, adminQueryOptions);
+
+/**
+ * Controller function to update a user (admin only).
+ * Route - PATCH /api/v1/users/:id
+ *
+ * - Admins can only change the name, email, photo and active status. Roles are changed with
+ *   `updateUserRole`, which keeps an audit trail.
+ * - A new email address is not verified, the user gets a link to verify it.
+ * - The last active admin can't be deactivated.
+ */
+const updateUser = handleAsyncErrors(async (req, res, next) => {
+  const user = await User.findById(req.params.id)
+    .setOptions(adminQueryOptions.queryOptions)
+    .select(adminQueryOptions.select);
+
+  if (!user) {
+    return next(new AppError('No user found with the given ID', 404));
+  }
+
+  user.set(filterObj(req.body, 'name', 'email', 'photo', 'active'));
+
+  if (
+    user.role === 'admin' &&
+    user.isModified('active') &&
+    user.active === false &&
+    !(await hasOtherActiveAdmin(user))
+  ) {
+    return next(new AppError('The last remaining admin can not be deactivated', 400));
+  }
+
+  const message = await saveUserChanges(user, req);
 
   res.status(200).json({
     status: 'success',
-    result: users.length,
+    message,
     data: {
-      users,
+      user,
     },
   });
 });
 
-// function to get one user
-const getUser = (req, res) => {
-  res.status(500).json({
-    status: 'error',
-    message: 'This route is not defined yet...',
+/**
+ * Controller function to delete a user (admin only).
+ * Route - DELETE /api/v1/users/:id
+ *
+ * - Permanently removes the user document (unlike `deleteMe`), deactivated users included.
+ * - The last active admin can't be deleted.
+ */
+const deleteUser = handleAsyncErrors(async (req, res, next) => {
+  const user = await User.findById(req.params.id)
+    .setOptions(adminQueryOptions.queryOptions)
+    .select(adminQueryOptions.select);
+
+  if (!user) {
+    return next(new AppError('No user found with the given ID', 404));
+  }
+
+  if (
+    user.role === 'admin' &&
+    user.active !== false &&
+    !(await hasOtherActiveAdmin(user))
+  ) {
+    return next(new AppError('The last remaining admin can not be deleted', 400));
+  }
+
+  await user.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
   });
-};
+});
+
+/**
+ * Controller function to create a user (admin only).
+ *
+ * Admins can't choose the password of the new user. Instead, the user is created with a random
+ * password, which nobody knows, and gets an email with a link to set their own password.
+ * This link uses the same token as the forgot/reset password flow.
+ * New users always get the `user` role, other roles are given with `updateUserRole`.
+ */
+const createUser = handleAsyncErrors(async (req, res, next) => {
+  if (req.body.role !== undefined) {
+    return next(
+      new AppError(
+        'The role can not be set here. Create the user, then use /users/:id/role',
+        400
+      )
+    );
+  }
 
-// function to create user
-const createUser = (req, res) => {
-  res.status(500).json({
-    status: 'error',
-    message: 'This route is not defined yet...',
+  const randomPassword = crypto.randomBytes(32).toString('hex');
+
+  const newUser = new User({
+    ...filterObj(req.body, 'name', 'email', 'photo'),
+    password: randomPassword,
+    passwordConfirm: randomPassword,
+    // Setting the password through the emailed link verifies the email address
+    emailVerified: false,
   });
-};
 
-// function to update user
-const updateUser = (req, res) => {
-  res.status(500).json({
-    status: 'error',
-    message: 'This route is not defined yet...',
+  // Record who created the user in the audit trail
+  newUser.roleHistory.push({ role: newUser.role, changedBy: req.user._id });
+
+  // Generate the token the user needs to set their own password
+  // The token is valid for 10 minutes (see `createPasswordResetToken` in the userSchema)
+  const resetToken = newUser.createPasswordResetToken();
+  await newUser.save();
+
+  const resetURL = `${req.protocol}://${req.get(
+    'host'
+  )}/api/v1/users/reset-password/${resetToken}`;
+
+  const message = `An account has been created for you on Natours. Submit a patch request with
+  your password and passwordConfirm to: ${resetURL}\nThis link is valid for 10 minutes, after that
+  you can request a new one using "forgot password".`;
+
+  let emailSent = true;
+  try {
+    await sendEmail({
+      email: newUser.email,
+      subject: 'Welcome to Natours! Set your password (valid for only 10 minutes)',
+      message,
+    });
+  } catch (err) {
+    // The user is still created, they can set a password later using "forgot password"
+    emailSent = false;
+    newUser.passwordResetToken = undefined;
+    newUser.passwordResetTokenExpires = undefined;
+    await newUser.save({ validateBeforeSave: false });
+  }
+
+  // Remove the sensitive fields from the response
+  newUser.password = undefined;
+  newUser.passwordResetToken = undefined;
+  newUser.passwordResetTokenExpires = undefined;
+
+  res.status(201).json({
+    status: 'success',
+    message: emailSent
+      ? 'User created. An email to set the password has been sent.'
+      : 'User created, but the email could not be sent. The user can use forgot password.',
+    data: {
+      user: newUser,
+    },
   });
-};
+});
 
-// function to delete user
-const deleteUser = (req, res) => {
-  res.status(500).json({
-    status: 'error',
-    message: 'This route is not defined yet...',
+/**
+ * Controller function to change the role of a user (admin only).
+ * Route - PATCH /api/v1/users/:id/role with `{ "role": "guide" }`
+ *
+ * - Every change is recorded in the `roleHistory` of the user: the new and the previous role,
+ *   the admin who changed it and when.
+ * - The last active admin can't be demoted.
+ */
+const updateUserRole = handleAsyncErrors(async (req, res, next) => {
+  const { role } = req.body;
+  const allowedRoles = User.schema.path('role').enumValues;
+
+  if (!allowedRoles.includes(role)) {
+    return next(new AppError(`Role must be one of: ${allowedRoles.join(', ')}`, 400));
+  }
+
+  const user = await User.findById(req.params.id)
+    .setOptions({ includeInactive: true })
+    .select('+active +roleHistory');
+
+  if (!user) {
+    return next(new AppError('No user found with the given ID', 404));
+  }
+
+  if (user.role === role) {
+    return next(new AppError(`This user already has the role ${role}`, 400));
+  }
+
+  if (user.role === 'admin' && !(await hasOtherActiveAdmin(user))) {
+    return next(new AppError('The last remaining admin can not be demoted', 400));
+  }
+
+  user.roleHistory.push({ role, previousRole: user.role, changedBy: req.user._id });
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
   });
-};
+});
 
 module.exports = {
   getAllUsers,
@@ -129,6 +350,9 @@ module.exports = {
   createUser,
   updateUser,
   deleteUser,
+  updateUserRole,
   updateMe,
   deleteMe,
+  rejectPasswordFields,
+  preventSelfDelete,
 };
@@ -1,32 +1,43 @@
 const fs = require('fs');
-const dotenv = require('dotenv');
 const mongoose = require('mongoose');
+const config = require('./../../config');
+const logger = require('./../../utils/logger');
 const Tour = require('./../../models/tour.model');
-
-dotenv.config({ path: './config.env' });
-
-const DB_URI = process.env.MONGODB_URI.replace('<PASSWORD>', process.env.DB_PASSWORD);
+const User = require('./../../models/user.model');
+const Review = require('./../../models/review.model');
 
 // connecting to database
 mongoose
-  .connect(DB_URI)
+  .connect(config.db.uri)
   .then(() => {
-    console.log('Connection to database successful');
+    logger.info('Connection to database successful');
   })
   .catch((err) => {
-    console.log('Error connecting to database:', err.message);
+    logger.error('Error connecting to database', { err });
   });
 
-// read the json file
-const tours = JSON.parse(fs.readFileSync(`${__dirname}/tours-simple.json`, 'utf-8'));
+// read the json files
+// tours.json (unlike tours-simple.json) contains the locations and the guides of each tour
+const tours = JSON.parse(fs.readFileSync(`${__dirname}/tours.json`, 'utf-8'));
+const users = JSON.parse(fs.readFileSync(`${__dirname}/users.json`, 'utf-8'));
+const reviews = JSON.parse(fs.readFileSync(`${__dirname}/reviews.json`, 'utf-8'));
 
 // import data to the database
 const addData = async () => {
   try {
+    // The users must be imported first because the guides of each tour are validated against them
+    // The passwords in users.json are already hashed, so `lean: true` is used to skip the
+    // validation (there is no passwordConfirm) and the pre-save hook that would hash them again.
+    // `lean` also skips casting, that's why the ids are converted to ObjectIds manually.
+    await User.insertMany(
+      users.map((user) => ({ ...user, _id: new mongoose.Types.ObjectId(`${user._id}`) })),
+      { lean: true }
+    );
     await Tour.create(tours);
-    console.log('Data added successfully');
+    await Review.create(reviews);
+    logger.info('Data added successfully');
   } catch (err) {
-    console.log('Error adding data:', err);
+    logger.error('Error adding data', { err });
   }
   process.exit();
 };
@@ -35,9 +46,11 @@ const addData = async () => {
 const deleteData = async () => {
   try {
     await Tour.deleteMany();
-    console.log('Data deleted successfully');
+    await User.deleteMany();
+    await Review.deleteMany();
+    logger.info('Data deleted successfully');
   } catch (err) {
-    console.log('Error deleting data:', err);
+    logger.error('Error deleting data', { err });
   }
   process.exit();
 };
@@ -0,0 +1,128 @@
+const crypto = require('node:crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const logger = require('../../utils/logger');
+
+/**
+ * A minimal OpenID Connect issuer for trying out the social login locally, without registering
+ * an app at a real provider. It logs everybody in without asking, as the user configured below.
+ *
+ * Start it with `node dev-data/oidc/mock-issuer.js` and add to config.env:
+ *
+ * ```
+ * OIDC_PROVIDERS=mock
+ * OIDC_MOCK_ISSUER=http://localhost:9000
+ * OIDC_MOCK_CLIENT_ID=natours
+ * OIDC_MOCK_CLIENT_SECRET=secret
+ * ```
+ *
+ * Then open http://localhost:3000/api/v1/users/oauth/mock in the browser.
+ *
+ * The logged in user can be changed with the environment variables `MOCK_OIDC_SUB`,
+ * `MOCK_OIDC_EMAIL`, `MOCK_OIDC_NAME` and `MOCK_OIDC_EMAIL_VERIFIED` (`false` to test accounts
+ * with an unverified email address), or per login with `?login_hint=<email>`.
+ */
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 9000;
+const ISSUER = `http://localhost:${PORT}`;
+
+// A new signing key every time the issuer starts, which also shows that key rotation works
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// The authorization codes that have been issued and not yet exchanged
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig' }],
+  });
+});
+
+// "Logs in" the user right away and redirects back to the client with a code
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, login_hint } = req.query;
+
+  if (!client_id || !redirect_uri || req.query.code_challenge_method !== 'S256') {
+    return res
+      .status(400)
+      .send('client_id, redirect_uri and an S256 code_challenge are needed');
+  }
+
+  const email = login_hint || process.env.MOCK_OIDC_EMAIL || 'mock.user@example.com';
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    claims: {
+      sub:
+        process.env.MOCK_OIDC_SUB ||
+        crypto.createHash('sha256').update(email).digest('hex'),
+      email,
+      email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+      name: process.env.MOCK_OIDC_NAME || 'Mock User',
+    },
+  });
+
+  const redirect = new URL(redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (state) redirect.searchParams.set('state', state);
+
+  res.redirect(redirect.toString());
+});
+
+// Exchanges a code for an ID token, after checking the PKCE code verifier
+app.post('/token', (req, res) => {
+  const { code, redirect_uri, client_id, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  const challenge = crypto
+    .createHash('sha256')
+    .update(code_verifier || '')
+    .digest('base64url');
+
+  if (
+    !grant ||
+    grant.clientId !== client_id ||
+    grant.redirectUri !== redirect_uri ||
+    grant.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: client_id,
+    expiresIn: '5m',
+  });
+
+  res.json({ token_type: 'Bearer', id_token: idToken, expires_in: 300 });
+});
+
+app.listen(PORT, () => {
+  logger.info(`Mock OIDC issuer running on ${ISSUER}`);
+});
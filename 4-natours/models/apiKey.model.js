@@ -0,0 +1,155 @@
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('./../utils/permissions.js');
+
+// Every key starts with this, so leaked keys are easy to recognize (e.g. by secret scanners)
+const KEY_PREFIX = 'ntr';
+
+// Default number of requests per hour for a key, see the `apiKeyLimiter` in app.js
+const DEFAULT_RATE_LIMIT = 1000;
+
+// Define the API key schema which will outline the structure of each document in the "apikeys" collection
+//
+// API keys let partner integrations (machine-to-machine) call the API without logging in.
+// A key has the format `ntr_<prefix>_<secret>` and is sent in the `X-API-Key` header.
+// - The `prefix` is stored in plain text, it identifies the key in lists and logs and is used
+//   to look the key up.
+// - Only the SHA-256 hash of the whole key is stored, the key itself is shown once when it is
+//   created, the same way the password reset token is handled.
+//
+// A key acts on behalf of the `user` it belongs to, but can only perform the actions
+// (see `utils/permissions.js`) listed in its `scopes`.
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Name to recognize the key e.g. "Partner XYZ booking sync"
+    name: {
+      type: String,
+      required: [true, 'An API key must have a name'],
+      trim: true,
+      maxlength: [100, 'The name of an API key can have at most 100 characters'],
+    },
+
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // The user the key acts on behalf of
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'An API key must belong to a user'],
+    },
+
+    // The actions the key may perform, e.g. `['tour:create', 'tour:update']`
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: Object.keys(PERMISSIONS),
+            message: '{VALUE} is not a valid scope',
+          },
+        },
+      ],
+      default: [],
+    },
+
+    // Maximum number of requests per hour
+    rateLimit: {
+      type: Number,
+      default: DEFAULT_RATE_LIMIT,
+      min: [1, 'The rate limit must be at least 1 request per hour'],
+    },
+
+    // Keys without an expiry date are valid until they are deleted
+    expiresAt: Date,
+
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Hashes an API key with SHA-256, the same way the password reset token is hashed.
+ *
+ * @param {String} key - The raw API key.
+ * @returns {String} - The hashed key.
+ */
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Generates a new random key for the document and stores its prefix and hash.
+ *
+ * @method
+ * @returns {String} - The raw API key, to be shown to the admin only once.
+ */
+apiKeySchema.methods.createKey = function () {
+  this.prefix = crypto.randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}_${this.prefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+  this.keyHash = this.constructor.hashKey(key);
+
+  return key;
+};
+
+/**
+ * Checks whether the key has expired.
+ *
+ * @method
+ * @returns {Boolean}
+ */
+apiKeySchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt && this.expiresAt.getTime() <= Date.now());
+};
+
+/**
+ * Finds the key document for a raw API key, e.g. from the `X-API-Key` header.
+ *
+ * @param {String} key - The raw API key.
+ * @returns {Promise<Document|null>} - The key, or null if the key is unknown or expired.
+ */
+apiKeySchema.statics.findByKey = async function (key) {
+  const [keyPrefix, prefix, secret] = String(key).split('_');
+  if (keyPrefix !== KEY_PREFIX || !prefix || !secret) return null;
+
+  const apiKey = await this.findOne({ prefix }).select('+keyHash');
+  if (!apiKey) return null;
+
+  // Compare the hashes in constant time, so the key can't be guessed from response times
+  const hash = Buffer.from(this.hashKey(key));
+  if (!crypto.timingSafeEqual(hash, Buffer.from(apiKey.keyHash))) return null;
+
+  if (apiKey.isExpired()) return null;
+
+  return apiKey;
+};
+
+// The fields the list of API keys can be filtered by, e.g. `?user=...`, see `APIFeatures`
+// The hash of the key is not one of them
+apiKeySchema.statics.filterFields = [
+  'name',
+  'prefix',
+  'user',
+  'scopes',
+  'rateLimit',
+  'expiresAt',
+  'lastUsedAt',
+  'createdAt',
+];
+
+// Create the ApiKey model using the defined schema
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Define the booking schema which will outline the structure of each document in the "bookings" collection
+// A booking belongs to one tour and one user and reserves a number of places (participants)
+// on one of the start dates of the tour.
+const bookingSchema = new mongoose.Schema(
+  {
+    tour: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tour',
+      required: [true, 'A booking must belong to a tour'],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A booking must belong to a user'],
+    },
+    // startDate - must be one of the `startDates` of the tour, this is checked in the controller
+    startDate: {
+      type: Date,
+      required: [true, 'A booking must have a start date'],
+    },
+    participants: {
+      type: Number,
+      default: 1,
+      min: [1, 'A booking must have at least 1 participant'],
+      validate: [Number.isInteger, 'Participants must be a whole number'],
+    },
+    // price - the total price paid for all participants
+    // This is a snapshot taken when the booking is created, so later changes to the price
+    // or the discount of the tour don't change the price of existing bookings
+    price: {
+      type: Number,
+      required: [true, 'A booking must have a price'],
+      min: [0, 'Price can not be negative'],
+    },
+    // status - `pending` while the payment is processed, `paid` once it succeeded and
+    // `cancelled` if it was cancelled (and refunded). Cancelled bookings free their places again.
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'paid', 'cancelled'],
+        message: 'Status is either: pending, paid or cancelled',
+      },
+      default: 'pending',
+    },
+    // paymentId - the id of the charge at the payment provider, used for refunds
+    paymentId: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Index to quickly find all the bookings of a tour on a certain date (used for the capacity check)
+bookingSchema.index({ tour: 1, startDate: 1 });
+
+// Index to quickly find all the bookings of a user (used for /users/me/bookings)
+bookingSchema.index({ user: 1 });
+
+// QUERY MIDDLEWARE: Populate the tour and the user of the booking on every find query
+bookingSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'tour',
+    select: 'name slug imageCover',
+  }).populate({
+    path: 'user',
+    select: 'name email',
+  });
+
+  next();
+});
+
+/**
+ * Static method to count the places that are already taken on a certain date of a tour.
+ * Cancelled bookings are not counted, because their places are free again.
+ *
+ * @param {ObjectId} tourId - The _id of the tour.
+ * @param {Date} startDate - One of the start dates of the tour.
+ * @returns {Promise<number>} - The sum of the participants of all active bookings.
+ */
+bookingSchema.statics.countParticipants = async function (tourId, startDate) {
+  const stats = await this.aggregate([
+    {
+      $match: {
+        tour: tourId,
+        startDate,
+        status: { $ne: 'cancelled' },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        participants: { $sum: '$participants' },
+      },
+    },
+  ]);
+
+  return stats.length > 0 ? stats[0].participants : 0;
+};
+
+// The fields the list of all bookings can be filtered by, e.g. `?status=paid`, see `APIFeatures`
+bookingSchema.statics.filterFields = [
+  'tour',
+  'user',
+  'startDate',
+  'participants',
+  'price',
+  'status',
+  'createdAt',
+];
+
+// Create the Booking model using the defined schema
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
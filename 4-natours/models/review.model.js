@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Tour = require('./tour.model');
+
+// Define the review schema which will outline the structure of each document in the "reviews" collection
+// A review belongs to exactly one tour and one user. Both are stored as references (ObjectIds)
+// because a tour can have a huge, unbounded number of reviews (parent referencing).
+const reviewSchema = new mongoose.Schema(
+  {
+    review: {
+      type: String,
+      required: [true, 'Review can not be empty!'],
+      trim: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, 'A review must have a rating'],
+      min: [1, 'Rating must be equal or above 1.0'],
+      max: [5, 'Rating must be equal or less 5.0'],
+    },
+    tour: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tour',
+      required: [true, 'A review must belong to a tour'],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A review must belong to a user'],
+    },
+  },
+  {
+    // Schema options:
+    // timestamps: Automatically adds `createdAt` and `updatedAt` fields to the schema.
+    // toJSON and toObject: Enables virtual properties to be included in the output.
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Compound unique index on tour and user
+// This makes sure that each user can only write one review per tour. A second review
+// for the same tour results in a duplicate key error (code 11000) which is handled
+// by the global error handler.
+reviewSchema.index({ tour: 1, user: 1 }, { unique: true });
+
+// QUERY MIDDLEWARE: Populate the author of the review on every find query
+// Only the name and photo are selected so that no sensitive user data leaks into the response
+reviewSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'user',
+    select: 'name photo',
+  });
+
+  next();
+});
+
+/**
+ * Static method to recalculate the `ratingsAverage` and `ratingsQuantity` of a tour.
+ *
+ * It runs an aggregation over all the reviews of the given tour and persists the result on
+ * the tour document. If the tour has no reviews left, the fields are reset to their defaults.
+ *
+ * @param {ObjectId} tourId - The _id of the tour whose ratings need to be recalculated.
+ * @returns {Promise<void>}
+ */
+reviewSchema.statics.calcAverageRatings = async function (tourId) {
+  // `this` points to the model here, so we can call aggregate on it directly
+  const stats = await this.aggregate([
+    // Match stage: Select only the reviews that belong to the given tour
+    {
+      $match: { tour: tourId },
+    },
+    // Group stage: Count the reviews and calculate the average rating
+    {
+      $group: {
+        _id: '$tour',
+        nRating: { $sum: 1 },
+        avgRating: { $avg: '$rating' },
+      },
+    },
+  ]);
+
+  // We use `updateOne` instead of `findByIdAndUpdate` so that the `pre(/^find/)` hook of the
+  // tour schema doesn't exclude secret tours from being updated
+  await Tour.updateOne(
+    { _id: tourId },
+    stats.length > 0
+      ? { ratingsQuantity: stats[0].nRating, ratingsAverage: stats[0].avgRating }
+      : { ratingsQuantity: 0, ratingsAverage: 4.5 }
+  );
+};
+
+// DOCUMENT MIDDLEWARE: Post-save hook to recalculate the ratings after a new review is created
+// `this.constructor` points to the Review model, which is not yet defined at this point
+reviewSchema.post('save', async function () {
+  await this.constructor.calcAverageRatings(this.tour);
+});
+
+// QUERY MIDDLEWARE: Post hook for findOneAndUpdate and findOneAndDelete
+// (findByIdAndUpdate and findByIdAndDelete use these behind the scenes)
+// The `doc` argument is the review that was updated or deleted, so we can use it to
+// recalculate the ratings of the tour it belongs to.
+reviewSchema.post(/^findOneAnd/, async function (doc) {
+  if (doc) await doc.constructor.calcAverageRatings(doc.tour);
+});
+
+// The fields the lists of reviews can be filtered by, e.g. `?rating[gte]=4`, see `APIFeatures`
+reviewSchema.statics.filterFields = ['review', 'rating', 'tour', 'user', 'createdAt'];
+
+// Create the Review model using the defined schema
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
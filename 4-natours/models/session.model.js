@@ -0,0 +1,131 @@
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const config = require('./../config');
+
+// Define the session schema which will outline the structure of each document in the "sessions" collection
+//
+// A session is created every time a user logs in (on a device) and holds the refresh token of
+// that login. Every time the refresh token is used, it is replaced by a new one (rotation).
+// All refresh tokens that were ever issued for a session form a "token family": the hash of the
+// current token is stored in `tokenHash` and the hashes of the used ones in `previousTokenHashes`.
+// If a used token is presented again, it must have been stolen, so the whole session is revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'A session must belong to a user'],
+    },
+
+    // SHA-256 hash of the current refresh token
+    // Only the hash is stored, so a leaked database can't be used to refresh sessions
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+
+    // SHA-256 hashes of the refresh tokens that have already been rotated, used for reuse detection
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+
+    // The session can be refreshed until this date. Every rotation extends it.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Set when the session is revoked (logout, revoked by the user, reuse detected...)
+    revokedAt: Date,
+    revokedReason: String,
+
+    // Information that helps the user recognize their sessions on other devices
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index to quickly find all the sessions of a user (used for /users/me/sessions)
+sessionSchema.index({ user: 1 });
+
+// TTL index: MongoDB automatically deletes sessions once `expiresAt` has passed
+// Revoked sessions are kept until then, so reuse of their tokens can still be detected
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hashes a refresh token with SHA-256, the same way the password reset token is hashed.
+ *
+ * @param {String} refreshToken - The raw refresh token.
+ * @returns {String} - The hashed token.
+ */
+sessionSchema.statics.hashToken = function (refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+/**
+ * Generates a new refresh token for the session and stores its hash.
+ * The hash of the previous token (if any) is moved to `previousTokenHashes` for reuse detection.
+ *
+ * The token has the format `<sessionId>.<random>`, so the session can be found even when an
+ * old token is presented. The expiry is extended by `JWT_REFRESH_EXPIRES_IN` days (default 30).
+ *
+ * @method
+ * @returns {String} - The raw refresh token to be sent to the user.
+ */
+sessionSchema.methods.createRefreshToken = function () {
+  const refreshToken = `${this._id}.${crypto.randomBytes(40).toString('hex')}`;
+
+  if (this.tokenHash) this.previousTokenHashes.push(this.tokenHash);
+  this.tokenHash = this.constructor.hashToken(refreshToken);
+
+  this.expiresAt = Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000;
+
+  return refreshToken;
+};
+
+/**
+ * Checks whether the session can still be used, i.e. it is not revoked and not expired.
+ *
+ * @method
+ * @returns {Boolean}
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+/**
+ * Revokes the session. The document still needs to be saved afterwards.
+ *
+ * @method
+ * @param {String} reason - Why the session was revoked e.g. `logout`.
+ */
+sessionSchema.methods.revoke = function (reason) {
+  if (this.revokedAt) return;
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+};
+
+/**
+ * Revokes all active sessions of a user, e.g. after a password change.
+ *
+ * @param {ObjectId} userId - The _id of the user.
+ * @param {String} reason - Why the sessions were revoked.
+ * @param {ObjectId} [exceptSessionId] - A session that should stay active (e.g. the current one).
+ * @returns {Promise}
+ */
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+// Create the Session model using the defined schema
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 const validator = require('validator');
+const User = require('./user.model');
+const logger = require('./../utils/logger');
 
 // Define the tour schema which will outline the structure of each document in the "tours" collection
 // The schema enforces specific data types and validation rules for each field
@@ -37,6 +39,8 @@ const tourSchema = new mongoose.Schema(
       default: 4.5,
       min: [1, 'Rating must be equal or above 1.0'],
       max: [5, 'Rating must be equal or less 5.0'],
+      // Round the average calculated from the reviews to one decimal place (e.g. 4.666 -> 4.7)
+      set: (val) => Math.round(val * 10) / 10,
     },
     ratingsQuantity: {
       type: Number,
@@ -75,6 +79,78 @@ const tourSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // startLocation - the place where the tour starts, stored as a GeoJSON Point
+    // GeoJSON requires the `type` and `coordinates` fields. Note that the coordinates are
+    // stored as [longitude, latitude], which is the opposite of how they are usually written.
+    // A tour without a start location must not get a half GeoJSON object (`{ type: 'Point' }`),
+    // the 2dsphere index below rejects it. So the type is only set along with the coordinates.
+    startLocation: {
+      type: {
+        type: String,
+        default() {
+          return this.startLocation && this.startLocation.coordinates
+            ? 'Point'
+            : undefined;
+        },
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        // An address without coordinates is not a valid GeoJSON object either
+        required: [
+          function () {
+            return Boolean(this.startLocation.address || this.startLocation.description);
+          },
+          'A start location must have coordinates',
+        ],
+      },
+      address: String,
+      description: String,
+    },
+    // locations - the places visited during the tour, stored as an array of embedded GeoJSON Points
+    // `day` is the day of the tour on which the location is visited
+    locations: [
+      {
+        type: {
+          type: String,
+          default: 'Point',
+          enum: ['Point'],
+        },
+        coordinates: [Number],
+        address: String,
+        description: String,
+        day: Number,
+      },
+    ],
+    // guides - the users that guide this tour, stored as references (ObjectIds) to user documents
+    // The guides are populated by the `pre(/^find/)` query middleware below.
+    // The async validator makes sure that every referenced user exists and has the role
+    // `guide` or `lead-guide`. It runs on create/save and, with `runValidators: true`, on updates.
+    guides: {
+      type: [
+        {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+      ],
+      validate: {
+        validator: async function (guideIds) {
+          if (!guideIds || guideIds.length === 0) return true;
+
+          // Remove duplicate ids so that the count comparison below is correct
+          const uniqueIds = [...new Set(guideIds.map((id) => id.toString()))];
+
+          const guides = await User.find({
+            _id: { $in: uniqueIds },
+            role: { $in: ['guide', 'lead-guide'] },
+          }).select('_id');
+
+          return guides.length === uniqueIds.length;
+        },
+        message: 'Tour guides must be existing users with the role guide or lead-guide',
+      },
+    },
   },
   {
     // Schema options:
@@ -86,12 +162,33 @@ const tourSchema = new mongoose.Schema(
   }
 );
 
+// INDEXES
+// A 2dsphere index is required for geospatial queries on earth-like spheres
+// (`$geoWithin` with `$centerSphere` in getToursWithin and `$geoNear` in getDistances)
+tourSchema.index({ startLocation: '2dsphere' });
+
+// A text index for the full-text search (searchTours), a match in the name counts the most
+// A collection can only have one text index, so all searched fields must be in it
+tourSchema.index(
+  { name: 'text', summary: 'text', description: 'text' },
+  { name: 'tour_text_search', weights: { name: 10, summary: 5, description: 1 } }
+);
+
 // durationInWeeks - a virtual property that calculates and returns the duration in weeks based on the `duration` field (assumed to be in days).
 // This property won't be stored in the database but can be accessed like a normal field when retrieving documents.
 tourSchema.virtual('durationInWeeks').get(function () {
   return (this.duration / 7).toFixed(1); // Convert days to weeks and round to one decimal place.
 });
 
+// reviews - a virtual populate field that connects the tour with its reviews.
+// The tour doesn't keep an array of review ids (that array could grow indefinitely), instead
+// mongoose looks up all reviews whose `tour` field matches this tour's `_id` when we call `populate('reviews')`.
+tourSchema.virtual('reviews', {
+  ref: 'Review',
+  foreignField: 'tour',
+  localField: '_id',
+});
+
 // DOCUMENT MIDDLEWARE: Executes before .save() and .create(), but not for .insertMany().
 // The 'save' is a pre-save hook, which allows us to run custom logic before saving the document to the database.
 // The 'this' keyword refers to the document instance that is being saved.
@@ -101,19 +198,11 @@ tourSchema.pre('save', function (next) {
   next();
 });
 
-// DOCUMENT MIDDLEWARE: Pre-save hook that runs before a document is saved to the database.
-// This middleware will execute right before the document is persisted to the database.
-// We can use this hook for logging, validation, or modifying the document before saving.
-tourSchema.pre('save', function (next) {
-  console.log('Will save document to database...');
-  next();
-});
-
 // DOCUMENT MIDDLEWARE: Post-save hook that runs after a document has been saved to the database.
 // This middleware executes after the document has been successfully persisted.
-// The 'doc' argument refers to the saved document, which can be logged, processed, or used for further actions.
+// The 'doc' argument refers to the saved document. Only its id is logged, never the whole document.
 tourSchema.post('save', function (doc, next) {
-  console.log(doc);
+  logger.debug('Tour saved', { tourId: doc.id });
   next();
 });
 
@@ -122,28 +211,25 @@ tourSchema.post('save', function (doc, next) {
 
 // PRE-QUERY MIDDLEWARE to modify queries before execution
 // This middleware will be applied to all queries that start with 'find' (e.g., find, findOne, findOneAndUpdate, etc.)
-// It adds a filter to exclude documents where `secretTour` is true and tracks the start time of the query.
+// It adds a filter to exclude documents where `secretTour` is true and populates the guides.
+// The duration of the queries is measured by the `queryTiming` plugin for all models.
 tourSchema.pre(/^find/, function (next) {
   // Modify the query to exclude documents where `secretTour` is true
   this.find({ secretTour: { $ne: true } });
 
-  // Add a custom property to the Query object to track the start time
-  this.start = Date.now();
+  // Populate the `guides` field with the referenced user documents
+  // Only the name, photo and role of the guides are selected, so no sensitive user data is sent
+  this.populate({
+    path: 'guides',
+    select: 'name photo role',
+  });
 
   next();
 });
 
-// POST-QUERY MIDDLEWARE that executes after the query has been executed
-// This middleware is applied to all queries that start with 'find' (e.g., find, findOne, findOneAndUpdate, etc.)
-// It logs the duration of the query and the documents returned by the query.
-tourSchema.post(/^find/, function (docs, next) {
-  // Access the custom property set in the `pre` middleware
-  // Calculate and log the duration of the query by subtracting the start time from the current time
-  console.log(`Query took ${Date.now() - this.start} milliseconds`);
-
-  // `docs` contains the documents returned by the query
-  // console.log(docs);
-
+// Secret tours are not counted either, e.g. in the `total` of the paginated tour list
+tourSchema.pre('countDocuments', function (next) {
+  this.find({ secretTour: { $ne: true } });
   next();
 });
 
@@ -154,16 +240,40 @@ tourSchema.pre('aggregate', function (next) {
   // `this` refers to the aggregation object.
 
   // `this.pipeline()` returns the array of stages in the aggregation pipeline.
-  // `unshift()` adds a new stage to the beginning of the pipeline.
-  // We are adding a `$match` stage to filter out documents where `secretTour` is true.
-  this.pipeline().unshift({ $match: { secretTour: { $ne: true } } });
+  const pipeline = this.pipeline();
+  const secretTourMatch = { $match: { secretTour: { $ne: true } } };
 
-  // Log the modified pipeline to the console for debugging purposes.
-  console.log(this.pipeline());
+  // `$geoNear` must always be the first stage of a pipeline, otherwise MongoDB throws an error.
+  // So if the pipeline starts with `$geoNear` we add the `$match` stage right after it,
+  // else we use `unshift()` to add it to the beginning of the pipeline.
+  // The `$match` stage filters out documents where `secretTour` is true.
+  if (pipeline.length > 0 && pipeline[0].$geoNear) {
+    pipeline.splice(1, 0, secretTourMatch);
+  } else {
+    pipeline.unshift(secretTourMatch);
+  }
 
   next();
 });
 
+// The fields the lists of tours (all tours, the search and the facets) can be filtered by,
+// e.g. `?difficulty=easy&price[lte]=1000`, see `APIFeatures`
+tourSchema.statics.filterFields = [
+  'name',
+  'slug',
+  'duration',
+  'maxGroupSize',
+  'difficulty',
+  'ratingsAverage',
+  'ratingsQuantity',
+  'price',
+  'priceDiscount',
+  'summary',
+  'startDates',
+  'guides',
+  'createdAt',
+];
+
 // Create the Tour model using the defined schema
 // This model represents the "tours" collection in the MongoDB database
 const Tour = mongoose.model('Tour', tourSchema);
@@ -2,6 +2,17 @@ const crypto = require('node:crypto');
 const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
+const totp = require('./../utils/totp');
+const config = require('./../config');
+
+// Number of failed login attempts after which the account is locked
+const MAX_LOGIN_ATTEMPTS = config.login.maxAttempts;
+
+// Duration of the first lock in minutes. Every further failed attempt doubles it (exponential backoff)
+const LOGIN_LOCK_MINUTES = config.login.lockMinutes;
+
+// Upper limit for the duration of a lock (24 hours)
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
 
 // Define the User schema with validation rules
 const userSchema = new mongoose.Schema({
@@ -32,6 +43,26 @@ const userSchema = new mongoose.Schema({
     default: 'user',
   },
 
+  // Audit trail of role changes: who granted which role and when
+  // Entries are added by the admin routes (PATCH /users/:id/role and POST /users)
+  roleHistory: {
+    type: [
+      {
+        role: String,
+        previousRole: String,
+        changedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    select: false,
+  },
+
   // Password field with required validation and minimum length of 8 characters
   // We will add more validation and rules when we start to manage passwords
   password: {
@@ -44,9 +75,11 @@ const userSchema = new mongoose.Schema({
   // Password confirmation field with required validation
   // A validator function that checks whether the password and passwordConfirm
   // fields match or not
+  // It is never stored (see the `pre('save')` hook), `select: false` keeps it out of queries
   passwordConfirm: {
     type: String,
     required: [true, 'Please confirm your password!'],
+    select: false,
     validate: {
       //  This only works on save() and create() methods!!
       validator: function (val) {
@@ -62,14 +95,112 @@ const userSchema = new mongoose.Schema({
     type: Date,
   },
 
+  // Whether the user has confirmed that they own their email address
+  // New users start with `false` and are blocked from creating tours, booking and reviewing
+  // until they click the link in the verification email. There is no default on purpose:
+  // accounts that existed before email verification was introduced don't have this field
+  // and are treated as verified.
+  emailVerified: Boolean,
+
+  // Fields for the email verification token
+  // Stored and hashed the same way as the password reset token
+  // Like all tokens, they are hidden so they are never sent or used in the filters of the lists
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationTokenExpires: {
+    type: Date,
+    select: false,
+  },
+
   // Field for storing a temporary reset token
   // This token is generated when a user requests to reset their password and
   // will be compared with the incoming token to validate the reset request.
-  passwordResetToken: String,
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
 
   // Field for storing the expiration time of the reset token
   // This helps ensure the reset link is only valid for a limited time, improving security.
-  passwordResetTokenExpires: Date,
+  passwordResetTokenExpires: {
+    type: Date,
+    select: false,
+  },
+
+  // Number of failed login attempts in a row, reset after a successful login
+  // Used to lock the account against brute-force attacks that are spread across many IPs
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+
+  // The account can't be logged into until this time
+  lockUntil: {
+    type: Date,
+    select: false,
+  },
+
+  // Fields for the token that is emailed to the user to unlock their account before the lock expires
+  // Stored and hashed the same way as the password reset token
+  accountUnlockToken: {
+    type: String,
+    select: false,
+  },
+  accountUnlockTokenExpires: {
+    type: Date,
+    select: false,
+  },
+
+  // Two-factor authentication (TOTP)
+  // `twoFactorEnabled` is set once the user confirmed the setup with a code from their app.
+  // It is mandatory for admins (see `can` in the authController).
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+
+  // The shared secret (base32) that the authenticator app uses to generate the codes
+  // Unlike passwords it can't be hashed, because the server needs it to calculate the codes
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+
+  // The secret of a setup that has not been confirmed yet
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+
+  // The TOTP step of the last accepted code, so the same code can't be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
+
+  // SHA-256 hashes of the one-time recovery codes, used when the authenticator app is lost
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+
+  // Accounts at OpenID Connect providers (e.g. Google) the user can log in with
+  // `subject` is the id of the user at the provider (the `sub` claim of the ID token)
+  oauthAccounts: [
+    {
+      _id: false,
+      provider: String,
+      subject: String,
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
 
   // Field used to "soft delete" a user
   // if set to false, it means user has been "deleted"
@@ -80,6 +211,9 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+// Index to quickly find the user of a social login
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 });
+
 // Password encryption using pre document middleware
 // Only encrypt the password if it is changed/updated or,
 // the password is newly created
@@ -120,11 +254,32 @@ userSchema.pre('save', function (next) {
   next();
 });
 
-// This middleware runs before any query that starts with "find" (e.g., find, findOne).
+// A changed email address has to be verified again. Otherwise the verified status (and what it
+// allows, e.g. linking a social login with the same address) would carry over to an address the
+// user never proved they own. The controllers send the new verification link.
+userSchema.pre('save', function (next) {
+  if (this.isNew || !this.isModified('email')) return next();
+
+  this.emailVerified = false;
+  next();
+});
+
+// This middleware runs before any query that starts with "find" (e.g., find, findOne) and before
+// countDocuments, so the paginated user list doesn't count deactivated users either.
 // It automatically modifies the query to exclude documents where the 'active' field is set to false.
 // If 'active' is not false or does not exist, the document will be included in the query results.
 // The 'next()' function is called to proceed with the next middleware or execute the query.
-userSchema.pre(/^find/, function (next) {
+//
+// Admins need to see and manage deactivated users too. For that, a query can be run with the
+// custom `includeInactive` option, e.g. `User.find().setOptions({ includeInactive: true })`,
+// in which case the filter is not added. The option is removed from the query afterwards
+// because it means nothing to MongoDB.
+userSchema.pre(/^find|^countDocuments$/, function (next) {
+  if (this.getOptions().includeInactive) {
+    delete this.options.includeInactive;
+    return next();
+  }
+
   this.find({ active: { $ne: false } });
   next();
 });
@@ -164,8 +319,6 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
     // Convert `passwordChangedAt` date to a timestamp in seconds
     const changedTimestamp = parseInt(this.passwordChangedAt.getTime() / 1000);
 
-    console.log(changedTimestamp, JWTTimestamp);
-
     // If `changedTimestamp` is greater than `JWTTimestamp`,
     // the password was changed after the JWT was created.
     return JWTTimestamp < changedTimestamp;
@@ -200,6 +353,194 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+/**
+ * Generates a token to verify the email address of the user.
+ * Works the same way as `createPasswordResetToken`: only the hashed token is stored and the
+ * raw token is returned to be sent to the user. The token is valid for 24 hours.
+ *
+ * @method
+ * @returns {string} The raw verification token to be sent to the user.
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  this.emailVerificationTokenExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+/**
+ * Starts the two-factor authentication setup by generating a new secret.
+ * The secret is only stored as pending until the user confirms it with a code from their app.
+ *
+ * @method
+ * @returns {Object} - `{ secret, otpauthURI }` to be shown to the user (usually as a QR code).
+ */
+userSchema.methods.createTwoFactorSecret = function () {
+  const secret = totp.generateSecret();
+  this.twoFactorPendingSecret = secret;
+
+  return {
+    secret,
+    otpauthURI: totp.buildOtpauthURI({ secret, accountName: this.email }),
+  };
+};
+
+/**
+ * Checks a code from the authenticator app against the secret of the user.
+ * Codes that were already used are rejected. The `twoFactorSecret` (or `twoFactorPendingSecret`)
+ * and `twoFactorLastUsedStep` fields must be selected, and the document needs to be saved afterwards.
+ *
+ * @method
+ * @param {String} code - The 6 digit code entered by the user.
+ * @param {Object} [options]
+ * @param {boolean} [options.pending] - Check against the pending secret of an unconfirmed setup.
+ * @returns {boolean}
+ */
+userSchema.methods.checkTwoFactorCode = function (code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactorPendingSecret : this.twoFactorSecret;
+  if (!secret) return false;
+
+  const step = totp.verifyToken(secret, String(code || ''));
+  if (step === null) return false;
+  if (this.twoFactorLastUsedStep !== undefined && step <= this.twoFactorLastUsedStep) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+/**
+ * Generates new recovery codes and stores their hashes.
+ * Each code can be used once instead of a code from the authenticator app.
+ *
+ * @method
+ * @returns {string[]} The raw recovery codes to be shown to the user (only this once).
+ */
+userSchema.methods.createRecoveryCodes = function () {
+  const codes = Array.from({ length: 10 }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map((code) =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+/**
+ * Uses up a recovery code. The `twoFactorRecoveryCodes` field must be selected
+ * and the document needs to be saved afterwards.
+ *
+ * @method
+ * @param {String} code - The recovery code entered by the user.
+ * @returns {boolean} - Returns `true` if the code was valid (and is now used up).
+ */
+userSchema.methods.useRecoveryCode = function (code) {
+  const hashedCode = crypto
+    .createHash('sha256')
+    .update(
+      String(code || '')
+        .trim()
+        .toLowerCase()
+    )
+    .digest('hex');
+
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashedCode);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Checks if the account is currently locked because of too many failed login attempts.
+ * The `lockUntil` field must be selected (`+lockUntil`) for this to work.
+ *
+ * @method
+ * @returns {boolean} - Returns `true` while the lock has not expired.
+ */
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+/**
+ * Registers a failed login attempt and locks the account if there were too many of them.
+ *
+ * After `MAX_LOGIN_ATTEMPTS` failures the account is locked for `LOGIN_LOCK_MINUTES`. Every
+ * further failure (after the lock expired) doubles the duration of the lock, up to 24 hours.
+ * The `failedLoginAttempts` and `lockUntil` fields must be selected for this to work,
+ * and the document still needs to be saved afterwards.
+ *
+ * @method
+ * @returns {boolean} - Returns `true` if this attempt locked the account for the first time,
+ *                      which is when the unlock email should be sent.
+ */
+userSchema.methods.registerFailedLogin = function () {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  const attemptsOverLimit = this.failedLoginAttempts - MAX_LOGIN_ATTEMPTS;
+  if (attemptsOverLimit < 0) return false;
+
+  const lockMs = Math.min(
+    LOGIN_LOCK_MINUTES * 60 * 1000 * 2 ** attemptsOverLimit,
+    MAX_LOCK_MS
+  );
+  this.lockUntil = Date.now() + lockMs;
+
+  return attemptsOverLimit === 0;
+};
+
+/**
+ * Resets the failed login attempts and removes the lock, e.g. after a successful login,
+ * a password reset or when the user unlocks their account. The document still needs to be saved.
+ *
+ * @method
+ */
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.accountUnlockToken = undefined;
+  this.accountUnlockTokenExpires = undefined;
+};
+
+/**
+ * Generates a token to unlock the account before the lock expires.
+ * Works the same way as `createPasswordResetToken`: only the hashed token is stored and the
+ * raw token is returned to be sent to the user. The token is valid for 1 hour.
+ *
+ * @method
+ * @returns {string} The raw unlock token to be sent to the user.
+ */
+userSchema.methods.createAccountUnlockToken = function () {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  this.accountUnlockToken = crypto.createHash('sha256').update(unlockToken).digest('hex');
+  this.accountUnlockTokenExpires = Date.now() + 60 * 60 * 1000;
+
+  return unlockToken;
+};
+
+// The fields the admin list of users can be filtered by, e.g. `?active=false&role=guide`, see
+// `APIFeatures`. `active` is hidden by default, so it has to be listed here. The password, the
+// tokens and the secrets are not, so they can't be guessed with filters.
+userSchema.statics.filterFields = [
+  'name',
+  'email',
+  'role',
+  'active',
+  'emailVerified',
+  'twoFactorEnabled',
+  'passwordChangedAt',
+];
+
 // Create and export the User model based on the userSchema
 const User = mongoose.model('User', userSchema);
 
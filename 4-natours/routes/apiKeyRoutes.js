@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  getAllApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey,
+} = require('./../controllers/apiKeyController');
+const {
+  protectedRoute,
+  can,
+  rejectApiKeys,
+} = require('./../controllers/authController.js');
+
+const router = express.Router();
+
+// All API key routes are for admins and require the user to be logged in
+// API keys can't be used to manage API keys
+router.use(protectedRoute, rejectApiKeys);
+
+// Routes for handling all API keys (GET all keys and POST a new key)
+router
+  .route('/')
+  .get(can('api-key:read'), getAllApiKeys)
+  .post(can('api-key:create'), createApiKey);
+
+// Routes for handling a single API key by ID (GET, PATCH, DELETE)
+// Deleting a key revokes it immediately
+router
+  .route('/:id')
+  .get(can('api-key:read'), getApiKey)
+  .patch(can('api-key:update'), updateApiKey)
+  .delete(can('api-key:delete'), deleteApiKey);
+
+module.exports = router;
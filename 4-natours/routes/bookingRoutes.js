@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  createBooking,
+  getAllBookings,
+  getBooking,
+  cancelBooking,
+  deleteBooking,
+} = require('./../controllers/bookingController');
+const {
+  protectedRoute,
+  can,
+  requireVerifiedEmail,
+} = require('./../controllers/authController.js');
+
+const router = express.Router();
+
+// All booking routes require the user to be logged in
+router.use(protectedRoute);
+
+// Routes for handling all bookings
+// Everybody with a verified email address can book a tour, but only admins and lead guides
+// can see all the bookings
+// The bookings of the logged in user are available on /api/v1/users/me/bookings
+router
+  .route('/')
+  .get(can('booking:read-all'), getAllBookings)
+  .post(can('booking:create'), requireVerifiedEmail, createBooking);
+
+// Route for cancelling (and refunding) a booking by its owner or an admin
+router.patch('/:id/cancel', can('booking:cancel'), cancelBooking);
+
+// Routes for handling a single booking by ID (GET, DELETE)
+// Users can only see their own bookings, which is checked by the controller
+router
+  .route('/:id')
+  .get(can('booking:read'), getBooking)
+  .delete(can('booking:delete'), deleteBooking);
+
+module.exports = router;
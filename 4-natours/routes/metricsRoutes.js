@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getQueryMetrics,
+  resetQueryMetrics,
+} = require('./../controllers/metricsController');
+const { protectedRoute, can } = require('./../controllers/authController.js');
+
+const router = express.Router();
+
+// All metrics routes require the user to be logged in
+router.use(protectedRoute);
+
+// Routes for the duration of the database operations, measured by the `queryTiming` plugin
+router
+  .route('/queries')
+  .get(can('metrics:read'), getQueryMetrics)
+  .delete(can('metrics:reset'), resetQueryMetrics);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getAllReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  setTourUserIds,
+} = require('./../controllers/reviewController');
+const {
+  protectedRoute,
+  can,
+  rejectApiKeys,
+  requireVerifiedEmail,
+} = require('./../controllers/authController.js');
+
+// `mergeParams: true` gives this router access to the params of the parent router.
+// This is needed for the nested route `/api/v1/tours/:tourId/reviews` which is redirected
+// here from the tour router, so that `req.params.tourId` is available in the controllers.
+const router = express.Router({ mergeParams: true });
+
+// All review routes require the user to be logged in
+router.use(protectedRoute);
+
+// Routes for handling all reviews (GET all reviews and POST a new review)
+// Works for both `/api/v1/reviews` and `/api/v1/tours/:tourId/reviews`
+// Only users with a verified email address can write reviews
+// Reading reviews doesn't need a permission, so it can't be done with an API key
+router
+  .route('/')
+  .get(rejectApiKeys, getAllReviews)
+  .post(can('review:create'), requireVerifiedEmail, setTourUserIds, createReview);
+
+// Routes for handling a single review by ID (GET, PATCH, DELETE)
+// The controllers make sure that only the author of a review or an admin can modify it
+router
+  .route('/:id')
+  .get(rejectApiKeys, getReview)
+  .patch(can('review:update'), updateReview)
+  .delete(can('review:delete'), deleteReview);
+
+module.exports = router;
@@ -5,31 +5,74 @@ const {
   createTour,
   updateTour,
   deleteTour,
+  searchTours,
   aliasTopTours,
   getTourStatistics,
+  getTourFacets,
   getMonthlyPlan,
+  getRevenueReport,
+  getToursWithin,
+  getDistances,
 } = require('./../controllers/tourController');
-const { protectedRoute, restrictedRoute } = require('./../controllers/authController.js');
+const {
+  protectedRoute,
+  can,
+  rejectApiKeys,
+  requireVerifiedEmail,
+} = require('./../controllers/authController.js');
+const reviewRouter = require('./reviewRoutes');
 
 const router = express.Router();
 
+// Nested route for the reviews of a tour e.g. GET /api/v1/tours/5c88fa8cf4afda39709c2955/reviews
+// Requests to this route are redirected to the review router, which has access to `tourId`
+// because it is created with `mergeParams: true`
+router.use('/:tourId/reviews', reviewRouter);
+
 // Route for getting the top 5 highest-rated cheap tours
 // This is an alias for the URL /api/v1/tours?sort=-ratingsAverage,price&limit=5
 // It uses the aliasTopTours middleware to pre-configure the query parameters before calling getAllTours
 router.route('/get-top-5-cheap').get(aliasTopTours, getAllTours);
 
+// Full-text search in the name, summary and description, e.g. /search?q=forest&difficulty=easy
+// Like the list of all tours, it is only available to logged in users
+// It must be defined before the '/:id' route, otherwise 'search' would be taken as a tour id
+router.route('/search').get(protectedRoute, rejectApiKeys, searchTours);
+
+// Statistics per difficulty, duration or group size, see the controller for the parameters
 router.route('/tour-stats').get(getTourStatistics);
 
+// Number of tours per difficulty, duration, price, rating and start month, for the filters of
+// the catalogue. It accepts the same filters as the list of all tours.
+router.route('/facets').get(protectedRoute, rejectApiKeys, getTourFacets);
+
 router.route('/monthly-plan/:year').get(getMonthlyPlan);
 
+// Revenue and occupancy of the departures per tour or month, computed from the bookings
+router.route('/revenue-report').get(protectedRoute, can('report:read'), getRevenueReport);
+
+// Geospatial routes
+// Tours that start within a radius around a point e.g. /tours-within/400/center/34.111745,-118.113491/unit/mi
+router.route('/tours-within/:distance/center/:latlng/unit/:unit').get(getToursWithin);
+
+// Distances from a point to the start location of every tour e.g. /distances/34.111745,-118.113491/unit/km
+router.route('/distances/:latlng/unit/:unit').get(getDistances);
+
 // Routes for handling all tours (GET all tours and POST a new tour)
-router.route('/').get(protectedRoute, getAllTours).post(createTour);
+// Who can create, update and delete tours is defined in `utils/permissions.js`
+// Like all protected routes without a permission, the list can't be read with an API key
+// Creating a tour also requires a verified email address
+router
+  .route('/')
+  .get(protectedRoute, rejectApiKeys, getAllTours)
+  .post(protectedRoute, can('tour:create'), requireVerifiedEmail, createTour);
 
 // Routes for handling a single tour by ID (GET, PATCH, DELETE)
+// Lead guides can only update and delete the tours they guide
 router
   .route('/:id')
   .get(getTour)
-  .patch(updateTour)
-  .delete(protectedRoute, restrictedRoute('admin', 'lead-guide'), deleteTour);
+  .patch(protectedRoute, can('tour:update'), updateTour)
+  .delete(protectedRoute, can('tour:delete'), deleteTour);
 
 module.exports = router;
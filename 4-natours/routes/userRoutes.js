@@ -6,39 +6,135 @@ const {
   createUser,
   updateUser,
   deleteUser,
+  updateUserRole,
   updateMe,
   deleteMe,
+  rejectPasswordFields,
+  preventSelfDelete,
 } = require('../controllers/userController');
 
 const {
   signUp,
   login,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  logout,
+  unlockAccount,
+  refresh,
+  getMySessions,
+  revokeMySession,
+  revokeMyOtherSessions,
   forgotPassword,
   resetPassword,
   updatePassword,
   protectedRoute,
+  verifyEmail,
+  resendVerificationEmail,
+  can,
+  rejectApiKeys,
 } = require('./../controllers/authController');
 
+const { getMyBookings } = require('./../controllers/bookingController');
+
+const {
+  getOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  unlinkOAuthProvider,
+} = require('./../controllers/oauthController');
+
 const router = express.Router();
 
 // This routes are for signning up, logging in users
 router.post('/signup', signUp);
 router.post('/login', login);
 
+// Second step of the login for users with two-factor authentication
+router.post('/login/2fa', loginTwoFactor);
+
+// Routes for logging in with an OpenID Connect provider e.g. /oauth/google
+// The login is started in the browser, the provider redirects back to the callback
+router.get('/oauth/providers', getOAuthProviders);
+router.get('/oauth/:provider', startOAuthLogin);
+router.get('/oauth/:provider/callback', oauthCallback);
+
+// Routes for verifying the email address with the link from the verification email
+// and for sending a new link
+router.get('/verify-email/:token', verifyEmail);
+router.post(
+  '/resend-verification',
+  protectedRoute,
+  rejectApiKeys,
+  resendVerificationEmail
+);
+
+// Route for logging out users who are authenticated with the `jwt` cookie
+router.post('/logout', logout);
+
+// Route for getting a new access token (and a new refresh token) using a refresh token
+router.post('/refresh', refresh);
+
+// The routes for managing the own account can't be used with an API key (`rejectApiKeys`),
+// only by the user themselves
+
 //Route for user to update their password when they are logged in
-router.patch('/updateMyPassword', protectedRoute, updatePassword);
+router.patch('/updateMyPassword', protectedRoute, rejectApiKeys, updatePassword);
 
 // Route for user to update data besides their password when they are logged in
-router.patch('/updateMe', protectedRoute, updateMe);
+router.patch('/updateMe', protectedRoute, rejectApiKeys, updateMe);
 
 // Route for user to delete their account when they are logged in
-router.delete('/deleteMe', protectedRoute, deleteMe);
+router.delete('/deleteMe', protectedRoute, rejectApiKeys, deleteMe);
+
+// Route for user to see all their bookings when they are logged in
+router.get('/me/bookings', protectedRoute, can('booking:read'), getMyBookings);
+
+// Routes for user to set up and turn off two-factor authentication (TOTP)
+router.post('/me/2fa/setup', protectedRoute, rejectApiKeys, setupTwoFactor);
+router.post('/me/2fa/enable', protectedRoute, rejectApiKeys, enableTwoFactor);
+router.post('/me/2fa/disable', protectedRoute, rejectApiKeys, disableTwoFactor);
+
+// Routes for user to see their active sessions (devices) and to log out on other devices
+router
+  .route('/me/sessions')
+  .get(protectedRoute, rejectApiKeys, getMySessions)
+  .delete(protectedRoute, rejectApiKeys, revokeMyOtherSessions);
+router.delete('/me/sessions/:id', protectedRoute, rejectApiKeys, revokeMySession);
+
+// Routes for user to link and unlink accounts at OpenID Connect providers
+router
+  .route('/me/oauth/:provider')
+  .post(protectedRoute, rejectApiKeys, startOAuthLink)
+  .delete(protectedRoute, rejectApiKeys, unlinkOAuthProvider);
 
 // These routes are for forgot and reset password
 router.post('/forgot-password', forgotPassword);
 router.patch('/reset-password/:token', resetPassword);
 
-router.route('/').get(getAllUsers).post(createUser);
-router.route('/:id').get(getUser).patch(updateUser).delete(deleteUser);
+// Route for unlocking an account that was locked after too many failed login attempts
+// The link with the token is sent to the user's email when the account gets locked
+router.get('/unlock-account/:token', unlockAccount);
+
+// All routes below are for managing users
+// They require the user to be logged in and to have the permission for the action,
+// see `utils/permissions.js` (currently only admins have them)
+router.use(protectedRoute);
+
+router
+  .route('/')
+  .get(can('user:read'), getAllUsers)
+  .post(can('user:create'), rejectPasswordFields, createUser);
+
+// Route for changing the role of a user, which is recorded in the user's role history
+router.patch('/:id/role', can('user:update-role'), updateUserRole);
+
+router
+  .route('/:id')
+  .get(can('user:read'), getUser)
+  .patch(can('user:update'), rejectPasswordFields, updateUser)
+  .delete(can('user:delete'), preventSelfDelete, deleteUser);
 
 module.exports = router;
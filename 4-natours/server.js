@@ -6,8 +6,21 @@
  * from Express-related configuration (app.js).
  */
 
-const dotenv = require('dotenv');
 const mongoose = require('mongoose');
+const express = require('express');
+
+// Load and validate the configuration (config.env and the environment variables) first
+// A missing or invalid variable stops the server right away with a list of all problems
+let config;
+try {
+  config = require('./config');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const logger = require('./utils/logger');
+const { sendMetrics } = require('./utils/metrics');
 
 // THIS MUST BE ON TOP
 // Handling uncaught exceptions
@@ -16,59 +29,116 @@ const mongoose = require('mongoose');
 // To handle this process object emits the "uncaughtException" event which we can listen to
 // using process.on
 process.on('uncaughtException', (err) => {
-  console.log('UNCAUGHT EXCEPTION !! SHUTTING DOWN ...');
-  console.log({
-    name: err.name,
-    message: err.message,
-    error: err,
-  });
+  logger.error('UNCAUGHT EXCEPTION !! SHUTTING DOWN ...', { err });
 
   // Exit the process (node application) with a failure code (1)
   process.exit(1);
 });
 
-// Load environment variables from the config.env file into process.env
-// This allows us to access environment-specific variables (e.g., DB credentials, PORT)
-dotenv.config({ path: './config.env' });
-
 const app = require('./app');
 
-// Replace <PASSWORD> in the MongoDB connection string with the actual password from the environment variables
-// This creates the final URI used to connect to the MongoDB database
-const DB_URI = process.env.MONGODB_URI.replace('<PASSWORD>', process.env.DB_PASSWORD);
+// The port on which the server will run (PORT, default 3000)
+const { port: PORT } = config;
 
-// Connect to the MongoDB database using Mongoose
-// If the connection is successful, log a success message; otherwise, catch and log any errors
-// Rejected promise is handled by the "unhandledRejection" event listener on the process object
-mongoose.connect(DB_URI).then(() => {
-  console.log('Connection to database successful');
-});
+// How long in-flight requests get to finish when the server shuts down, before they are cut off
+const { shutdownTimeoutMs: SHUTDOWN_TIMEOUT_MS } = config;
 
-// Define the port on which the server will run, defaulting to 3000 if not specified in the environment
-const PORT = process.env.PORT || 3000;
+// The servers are stored so they can be closed when shutting down
+let server;
+let metricsServer;
 
-// Start the server and listen for incoming requests on the specified port
-// Once the server is up, log a message indicating that the app is running
-// We store the result of the listen method on the server variable
-// We will use this `server` variable to close the server later
-const server = app.listen(PORT, () => {
-  console.log(`Server running on PORT ${PORT}`);
-});
+/**
+ * Connects to the database and starts the server.
+ * The server only starts listening once the database is connected, so requests are never
+ * accepted (and the readiness check never succeeds) without a database.
+ * A failed connection is handled by the "unhandledRejection" event listener below.
+ */
+const startServer = async () => {
+  await mongoose.connect(config.db.uri);
+  logger.info('Connection to database successful');
+
+  // Prometheus metrics can be served on a separate port, which is not reachable from the internet
+  // By default it only listens on localhost, set `METRICS_HOST` for e.g. a container network
+  if (config.metrics.port) {
+    const { host, port } = config.metrics;
+
+    metricsServer = express()
+      .get('/metrics', sendMetrics)
+      .listen(port, host, () => {
+        logger.info(`Metrics available on http://${host}:${port}/metrics`);
+      });
+  }
+
+  // Start the server and listen for incoming requests on the specified port
+  // We store the result of the listen method on the server variable
+  // We will use this `server` variable to close the server later
+  server = app.listen(PORT, () => {
+    logger.info(`Server running on PORT ${PORT}`);
+  });
+
+  // While shutting down, keep-alive connections are closed after their current response,
+  // so clients open a new connection (to another instance) for their next request
+  server.on('request', (req, res) => {
+    if (app.locals.shuttingDown) res.setHeader('Connection', 'close');
+  });
+};
+
+/**
+ * Shuts the server down gracefully:
+ * 1) The readiness check starts failing, so the load balancer stops sending requests.
+ * 2) The server stops accepting new connections and waits for the in-flight requests.
+ *    If they take longer than `SHUTDOWN_TIMEOUT_MS`, the remaining connections are closed.
+ * 3) The database connection is closed and the process exits.
+ *
+ * @param {String} reason - Why the server shuts down e.g. `SIGTERM`.
+ * @param {number} exitCode - 0 for a normal shutdown, 1 after an error.
+ */
+const shutdown = async (reason, exitCode) => {
+  // A second signal (e.g. pressing Ctrl+C twice) doesn't start another shutdown
+  if (app.locals.shuttingDown) return;
+  app.locals.shuttingDown = true;
+
+  logger.info(`${reason} received, shutting down gracefully ...`);
+
+  // Exit anyway if draining the requests or closing the database hangs
+  // `unref` makes sure this timer doesn't keep the process alive on its own
+  setTimeout(() => {
+    logger.error(`Shutdown took longer than ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+    if (server) server.closeAllConnections();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    // `server.close` stops accepting new connections and calls back once all requests are done
+    // It also closes the idle keep-alive connections
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (metricsServer) await new Promise((resolve) => metricsServer.close(resolve));
+
+    await mongoose.connection.close();
+    logger.info('Server and database connection closed');
+  } catch (err) {
+    logger.error('Error during shutdown', { err });
+    exitCode = 1;
+  }
+
+  process.exit(exitCode);
+};
+
+// Signals sent when the process should stop: SIGTERM by docker/kubernetes/heroku when a
+// container is stopped or restarted, SIGINT when pressing Ctrl+C in the terminal
+process.on('SIGTERM', () => shutdown('SIGTERM', 0));
+process.on('SIGINT', () => shutdown('SIGINT', 0));
 
 // This is listening to unhandled rejection errors i.e., the errors that occurs from
 // promises that are rejected but don't have the catch() method to handle it
+// (e.g. when the connection to the database fails)
 process.on('unhandledRejection', (err) => {
-  console.log('UNHANDLED REJECTION !! SHUTTING DOWN ...');
-  console.log({
-    name: err.name,
-    message: err.message,
-    error: err,
-  });
+  logger.error('UNHANDLED REJECTION !! SHUTTING DOWN ...', { err });
 
-  // We close the server which gives enough time for the server to finish any request or
-  // work it is currently doing and after it's done we exit our node app
-  server.close(() => {
-    // Exit the process (node application) with a failure code (1)
-    process.exit(1);
-  });
+  // We shut the server down gracefully, which gives enough time for the server to finish any
+  // request or work it is currently doing and after it's done we exit our node app
+  // with a failure code (1)
+  shutdown('Unhandled rejection', 1);
 });
+
+startServer();
@@ -0,0 +1,418 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const APIFeatures = require('../utils/apiFeatures');
+const Tour = require('../models/tour.model');
+const User = require('../models/user.model');
+const { assertAppError } = require('./helpers');
+
+describe('APIFeatures.getFilter', () => {
+  const getTourFilter = (query) =>
+    APIFeatures.getFilter(query, Tour.schema, Tour.filterFields);
+
+  it('ignores the pagination, sort and field parameters', () => {
+    const query = {
+      page: '2',
+      limit: '5',
+      sort: 'price',
+      fields: 'name',
+      pagination: 'cursor',
+    };
+
+    assert.deepEqual(getTourFilter(query), {});
+  });
+
+  it('treats a plain value as eq and converts it to the type of the field', () => {
+    assert.deepEqual(getTourFilter({ duration: '5', difficulty: 'easy' }), {
+      duration: { $eq: 5 },
+      difficulty: { $eq: 'easy' },
+    });
+  });
+
+  it('combines several operators on the same field', () => {
+    assert.deepEqual(getTourFilter({ price: { gte: '300', lt: '1000' } }), {
+      price: { $gte: 300, $lt: 1000 },
+    });
+  });
+
+  it('turns between into an including range', () => {
+    assert.deepEqual(getTourFilter({ price: { between: '300, 1000' } }), {
+      price: { $gte: 300, $lte: 1000 },
+    });
+  });
+
+  it('converts the bounds of dates', () => {
+    const filter = getTourFilter({ startDates: { between: '2021-06-01,2021-07-01' } });
+
+    assert.deepEqual(filter, {
+      startDates: { $gte: new Date('2021-06-01'), $lte: new Date('2021-07-01') },
+    });
+  });
+
+  it('splits in and nin lists, and treats a repeated value as in', () => {
+    assert.deepEqual(getTourFilter({ difficulty: { nin: 'easy,difficult' } }), {
+      difficulty: { $nin: ['easy', 'difficult'] },
+    });
+    assert.deepEqual(getTourFilter({ difficulty: ['easy', 'medium'] }), {
+      difficulty: { $in: ['easy', 'medium'] },
+    });
+  });
+
+  it('converts ids and exists', () => {
+    const id = '5c8a22c62f8fb814b56fa18b';
+
+    assert.deepEqual(getTourFilter({ guides: id, priceDiscount: { exists: 'false' } }), {
+      guides: { $eq: new mongoose.Types.ObjectId(id) },
+      priceDiscount: { $exists: false },
+    });
+  });
+
+  it('matches contains case insensitively and literally', () => {
+    assert.deepEqual(getTourFilter({ name: { contains: 'the (forest).*' } }), {
+      name: { $regex: 'the \\(forest\\)\\.\\*', $options: 'i' },
+    });
+  });
+
+  it('rejects fields the route does not allow', () => {
+    assertAppError(
+      () => getTourFilter({ secretTour: 'true' }),
+      400,
+      /Unknown filter field/
+    );
+  });
+
+  it('rejects operators that do not fit the type of the field', () => {
+    assertAppError(
+      () => getTourFilter({ name: { gt: 'a' } }),
+      400,
+      /Unknown operator "gt" for name/
+    );
+    assertAppError(() => getTourFilter({ price: { contains: '5' } }), 400);
+  });
+
+  it('rejects values that can not be converted', () => {
+    assertAppError(() => getTourFilter({ price: 'cheap' }), 400, /expected a number/);
+    assertAppError(() => getTourFilter({ price: ' ' }), 400, /expected a number/);
+    assertAppError(() => getTourFilter({ createdAt: { gt: 'soon' } }), 400, /a date/);
+    assertAppError(() => getTourFilter({ guides: 'not-an-id' }), 400, /an id/);
+    assertAppError(() => getTourFilter({ name: { exists: 'yes' } }), 400);
+  });
+
+  it('needs exactly two values for between', () => {
+    assertAppError(() => getTourFilter({ price: { between: '300' } }), 400, /two values/);
+    assertAppError(() => getTourFilter({ price: { between: '1,2,3' } }), 400);
+  });
+
+  it('rejects repeated values for the single value operators', () => {
+    assertAppError(
+      () => getTourFilter({ price: { gte: ['300', '400'] } }),
+      400,
+      /can only be given once/
+    );
+  });
+
+  it('rejects nested objects as values', () => {
+    assertAppError(
+      () => getTourFilter({ price: { gte: { $gt: '' } } }),
+      400,
+      /Invalid value for price\[gte\]/
+    );
+  });
+});
+
+describe('APIFeatures.getFilter with the User filter fields', () => {
+  const getUserFilter = (query) =>
+    APIFeatures.getFilter(query, User.schema, User.filterFields);
+
+  it('filters by the hidden active field, e.g. to list deactivated users', () => {
+    assert.deepEqual(getUserFilter({ active: 'false' }), { active: { $eq: false } });
+  });
+
+  it('filters by the other listed fields', () => {
+    assert.deepEqual(getUserFilter({ role: { in: 'guide,lead-guide' } }), {
+      role: { $in: ['guide', 'lead-guide'] },
+    });
+  });
+
+  for (const field of [
+    'password',
+    'passwordConfirm',
+    'passwordResetToken',
+    'emailVerificationToken',
+    'accountUnlockToken',
+    'twoFactorSecret',
+    'lockUntil',
+  ]) {
+    it(`rejects ${field}`, () => {
+      assertAppError(
+        () => getUserFilter({ [field]: { exists: 'true' } }),
+        400,
+        new RegExp(`Unknown filter field "${field}"`)
+      );
+    });
+  }
+
+  it('only lists the allowed fields in the error message', () => {
+    assert.throws(
+      () => getUserFilter({ unknown: 'x' }),
+      (err) => {
+        assert.match(err.message, /Allowed fields: .*active/);
+        assert.doesNotMatch(err.message, /Token|password,|Secret/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects hidden fields when no fields are listed', () => {
+    for (const field of ['active', 'passwordResetToken', 'password']) {
+      assertAppError(() => APIFeatures.getFilter({ [field]: 'x' }, User.schema), 400);
+    }
+  });
+});
+
+describe('APIFeatures#sort', () => {
+  // A stand-in for a mongoose query of tours that records the sort order
+  const fakeQuery = () => ({
+    model: Tour,
+    sort(sortBy) {
+      this.sortBy = sortBy;
+      return this;
+    },
+  });
+
+  it('sorts by _id if there is neither a sort parameter nor a default', () => {
+    const features = new APIFeatures(fakeQuery(), {}).sort();
+
+    assert.deepEqual(features.sortFields, [['_id', 1]]);
+    assert.deepEqual(features.query.sortBy, { _id: 1 });
+  });
+
+  it('uses the default sort of the caller, with _id as the tie-breaker', () => {
+    const features = new APIFeatures(fakeQuery(), {}).sort([['createdAt', -1]]);
+
+    assert.deepEqual(features.sortFields, [
+      ['createdAt', -1],
+      ['_id', 1],
+    ]);
+  });
+
+  it('prefers the sort parameter over the default', () => {
+    const features = new APIFeatures(fakeQuery(), { sort: '-price,name' }).sort([
+      ['createdAt', -1],
+    ]);
+
+    assert.deepEqual(features.sortFields, [
+      ['price', -1],
+      ['name', 1],
+      ['_id', 1],
+    ]);
+  });
+
+  it('rejects sort fields that can not be filtered', () => {
+    assertAppError(
+      () =>
+        new APIFeatures(
+          fakeQuery(),
+          { sort: 'price,-secretTour' },
+          { filterFields: Tour.filterFields }
+        ).sort(),
+      400,
+      /Unknown sort fields: secretTour\./
+    );
+  });
+
+  it('rejects hidden fields in every pagination mode', () => {
+    for (const sort of ['password', '-twoFactorSecret', 'name,passwordResetToken']) {
+      assertAppError(
+        () =>
+          new APIFeatures(
+            User.find(),
+            { sort },
+            { filterFields: User.filterFields }
+          ).sort(),
+        400,
+        /Unknown sort fields/
+      );
+    }
+  });
+});
+
+describe('APIFeatures cursor pagination', () => {
+  const tourId = '5c88fa8cf4afda39709c2955';
+
+  // A cursor in the format of `encodeCursor`
+  const cursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  const paginate = (queryString) =>
+    new APIFeatures(Tour.find(), queryString, { filterFields: Tour.filterFields })
+      .sort()
+      .paginate();
+
+  it('starts at the first page without a condition and fetches one extra document', () => {
+    const features = paginate({ pagination: 'cursor', sort: '-price', limit: '5' });
+
+    assert.equal(features.pagination.mode, 'cursor');
+    assert.equal(features.pagination.cursor, null);
+    assert.deepEqual(features.query.getFilter(), {});
+    assert.equal(features.query.getOptions().limit, 6);
+  });
+
+  it('continues after the values of the cursor in the sort order', () => {
+    const next = cursor({
+      sort: 'price:-1,_id:1',
+      direction: 'next',
+      values: [500, tourId],
+    });
+    const features = paginate({ sort: '-price', cursor: next });
+    const id = new mongoose.Types.ObjectId(tourId);
+
+    assert.deepEqual(features.query.getFilter(), {
+      $and: [{ $or: [{ price: { $lt: 500 } }, { price: 500, _id: { $gt: id } }] }],
+    });
+  });
+
+  it('reads a previous page backwards', () => {
+    const prev = cursor({
+      sort: 'price:-1,_id:1',
+      direction: 'prev',
+      values: [500, tourId],
+    });
+    const features = paginate({ sort: '-price', cursor: prev });
+    const id = new mongoose.Types.ObjectId(tourId);
+
+    assert.deepEqual(features.query.getFilter(), {
+      $and: [{ $or: [{ price: { $gt: 500 } }, { price: 500, _id: { $lt: id } }] }],
+    });
+    assert.deepEqual(features.query.getOptions().sort, { price: 1, _id: -1 });
+  });
+
+  it('rejects cursors that can not be decoded', () => {
+    for (const value of [
+      'not a cursor',
+      cursor({ direction: 'sideways' }),
+      cursor(null),
+    ]) {
+      assertAppError(() => paginate({ cursor: value }), 400, /Invalid cursor/);
+    }
+  });
+
+  it('rejects cursors with values of the wrong type', () => {
+    const next = cursor({
+      sort: 'price:1,_id:1',
+      direction: 'next',
+      values: ['x', tourId],
+    });
+
+    assertAppError(
+      () => paginate({ sort: 'price', cursor: next }),
+      400,
+      /Invalid cursor/
+    );
+  });
+
+  it('rejects cursors of another sort order', () => {
+    const next = cursor({
+      sort: 'price:1,_id:1',
+      direction: 'next',
+      values: [500, tourId],
+    });
+
+    assertAppError(
+      () => paginate({ sort: '-price', cursor: next }),
+      400,
+      /different sort order/
+    );
+  });
+
+  it('rejects sort fields that not every document has a value for', () => {
+    assertAppError(
+      () => paginate({ pagination: 'cursor', sort: 'priceDiscount' }),
+      400,
+      /can't be sorted by priceDiscount/
+    );
+  });
+
+  it('returns cursors that lead to the next and previous page', async () => {
+    const features = paginate({ pagination: 'cursor', sort: '-price', limit: '2' });
+    const docs = [700, 600, 500].map((price, i) =>
+      Tour.hydrate({ _id: new mongoose.Types.ObjectId(), name: `Tour ${i}`, price })
+    );
+
+    // Stand-ins for the results of the query and the count
+    features.query = docs;
+    features.countQuery = 10;
+    const { docs: pageDocs, pagination } = await features.getResults('/api/v1/tours');
+
+    assert.deepEqual(pageDocs, docs.slice(0, 2));
+    assert.equal(pagination.cursors.prev, null);
+
+    const next = paginate({ sort: '-price', cursor: pagination.cursors.next });
+    assert.deepEqual(next.query.getFilter(), {
+      $and: [
+        { $or: [{ price: { $lt: 600 } }, { price: 600, _id: { $gt: docs[1]._id } }] },
+      ],
+    });
+  });
+});
+
+describe('APIFeatures#limitingFields', () => {
+  const selectFields = (Model, fields, options) =>
+    new APIFeatures(Model.find(), { fields }, options)
+      .limitingFields()
+      .query.projection();
+
+  it('selects the requested fields', () => {
+    assert.deepEqual(selectFields(Tour, 'name, price,startLocation'), {
+      name: 1,
+      price: 1,
+      startLocation: 1,
+    });
+  });
+
+  it('rejects hidden fields, which the projection would return otherwise', () => {
+    for (const fields of [
+      'password',
+      'name,twoFactorSecret',
+      'passwordResetToken',
+      '-password',
+    ]) {
+      assertAppError(
+        () => selectFields(User, fields, { filterFields: User.filterFields }),
+        400,
+        /Unknown fields: .*(password|Secret|Token)/
+      );
+    }
+  });
+
+  it('does not list the hidden fields in the error message', () => {
+    assert.throws(
+      () => selectFields(User, 'password', { filterFields: User.filterFields }),
+      (err) => {
+        assert.match(err.message, /Allowed fields: .*active/);
+        assert.doesNotMatch(
+          err.message,
+          /Allowed fields: .*(password(,|$)|Token|Secret)/
+        );
+        return true;
+      }
+    );
+  });
+
+  it('selects the hidden fields the route allows to filter', () => {
+    assert.deepEqual(
+      selectFields(User, 'name,active', { filterFields: User.filterFields }),
+      {
+        name: 1,
+        active: 1,
+      }
+    );
+  });
+
+  it('rejects unknown fields', () => {
+    assertAppError(
+      () => selectFields(Tour, 'name,profit'),
+      400,
+      /Unknown fields: profit\./
+    );
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user.model');
+const { can, rejectApiKeys, protectedRoute } = require('../controllers/authController');
+const { runHandler, fakeQuery } = require('./helpers');
+
+// A request by a user with an API key that only has the given scopes
+const keyRequest = (scopes, role = 'user') => ({
+  user: { _id: 'user-id', role, twoFactorEnabled: false },
+  apiKey: { scopes },
+});
+
+describe('API key scopes', () => {
+  it('rejects keys on the routes without a permission', async () => {
+    const err = await runHandler(rejectApiKeys, keyRequest([]));
+
+    assert.equal(err.statusCode, 403);
+  });
+
+  it('lets requests without a key through rejectApiKeys', async () => {
+    assert.equal(await runHandler(rejectApiKeys, { user: { role: 'user' } }), null);
+  });
+
+  for (const action of ['booking:create', 'booking:read', 'booking:cancel']) {
+    it(`requires the ${action} scope, even though every user may do it`, async () => {
+      const err = await runHandler(can(action), keyRequest(['tour:create']));
+      assert.equal(err.statusCode, 403);
+      assert.match(err.message, new RegExp(`${action} scope`));
+
+      assert.equal(await runHandler(can(action), keyRequest([action])), null);
+    });
+  }
+
+  it('still checks the role of the user the key belongs to', async () => {
+    const err = await runHandler(
+      can('booking:read-all'),
+      keyRequest(['booking:read-all'])
+    );
+
+    assert.equal(err.statusCode, 403);
+  });
+});
+
+describe('protectedRoute with an API key', () => {
+  let owner;
+
+  beforeEach(() => {
+    owner = User.hydrate({
+      _id: '5c8a1d5b0190b214360dc057',
+      name: 'Partner',
+      email: 'partner@example.com',
+      active: true,
+    });
+
+    mock.method(User, 'findById', () => fakeQuery(owner));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // A request with a valid key, as set by `authenticateApiKey`
+  const request = () => ({
+    get: (header) => (header === 'X-API-Key' ? 'ntr_key' : undefined),
+    apiKey: { user: owner._id, scopes: [] },
+  });
+
+  it('authenticates the request as the owner of the key', async () => {
+    const req = request();
+
+    assert.equal(await runHandler(protectedRoute, req), null);
+    assert.equal(req.user, owner);
+  });
+
+  it('rejects keys of deactivated users', async () => {
+    owner.active = false;
+
+    const err = await runHandler(protectedRoute, request());
+    assert.equal(err.statusCode, 401);
+    assert.match(err.message, /deactivated/);
+  });
+
+  it('rejects keys of locked users', async () => {
+    owner.lockUntil = Date.now() + 60 * 1000;
+
+    const err = await runHandler(protectedRoute, request());
+    assert.equal(err.statusCode, 401);
+    assert.match(err.message, /locked/);
+  });
+
+  it('accepts keys again once the lock has expired', async () => {
+    owner.lockUntil = Date.now() - 1000;
+
+    assert.equal(await runHandler(protectedRoute, request()), null);
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../app');
+
+describe('authLimiter', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('limits the requests for new verification emails', async () => {
+    const resend = () =>
+      fetch(`${baseUrl}/api/v1/users/resend-verification`, { method: 'POST' });
+
+    // Without a login the requests are rejected, but they still count
+    for (let i = 0; i < 10; i += 1) {
+      assert.equal((await resend()).status, 401);
+    }
+
+    assert.equal((await resend()).status, 429);
+  });
+});
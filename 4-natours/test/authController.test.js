@@ -0,0 +1,83 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { setupTwoFactor, createAndSendToken } = require('../controllers/authController');
+const { runHandler, fakeResponse, fakeQuery } = require('./helpers');
+
+describe('setupTwoFactor', () => {
+  let passwordHash;
+  let user;
+
+  before(async () => {
+    passwordHash = await bcrypt.hash('pass1234', 4);
+  });
+
+  beforeEach(() => {
+    user = User.hydrate({
+      _id: '5c8a1d5b0190b214360dc057',
+      name: 'Admin',
+      email: 'admin@example.com',
+      role: 'admin',
+      password: passwordHash,
+    });
+    user.save = mock.fn(async () => user);
+
+    mock.method(User, 'findById', () => fakeQuery(user));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const request = (body) => ({ user: { _id: user._id, twoFactorEnabled: false }, body });
+
+  it('requires the current password', async () => {
+    for (const body of [{}, { password: 'wrong-password' }]) {
+      const err = await runHandler(setupTwoFactor, request(body));
+
+      assert.equal(err.statusCode, 401);
+    }
+
+    assert.equal(user.twoFactorPendingSecret, undefined);
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+
+  it('sends a new secret for the authenticator app', async () => {
+    const res = fakeResponse();
+
+    assert.equal(
+      await runHandler(setupTwoFactor, request({ password: 'pass1234' }), res),
+      null
+    );
+    assert.equal(res.body.data.secret, user.twoFactorPendingSecret);
+    assert.match(res.body.data.otpauthURI, /^otpauth:\/\/totp\//);
+  });
+
+  it('does not replace the secret while two-factor authentication is enabled', async () => {
+    const req = request({ password: 'pass1234' });
+    req.user.twoFactorEnabled = true;
+
+    assert.equal((await runHandler(setupTwoFactor, req)).statusCode, 400);
+  });
+});
+
+describe('createAndSendToken', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lets the jwt cookie expire together with the access token', async () => {
+    mock.method(Session.prototype, 'save', async function () {
+      return this;
+    });
+    const user = User.hydrate({ _id: '5c8a1d5b0190b214360dc057', name: 'Jonas' });
+    const res = fakeResponse();
+
+    await createAndSendToken(user, 200, { get: () => undefined }, res);
+
+    const { exp } = jwt.decode(res.body.token);
+    const cookieExpires = res.cookies.jwt.options.expires.getTime();
+    assert.ok(Math.abs(cookieExpires - exp * 1000) < 2000);
+    assert.ok(Math.abs(cookieExpires - Date.now() - config.jwt.accessExpiresInMs) < 2000);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+// The variables that production requires, apart from the ones under test
+const PRODUCTION_ENV = {
+  NODE_ENV: 'production',
+  MONGODB_URI: 'mongodb://127.0.0.1:27017/natours',
+  JWT_SECRET: 'secret',
+  EMAIL_HOST: 'smtp.example.com',
+  EMAIL_PORT: '587',
+  EMAIL_USERNAME: 'natours',
+  EMAIL_PASSWORD: 'password',
+};
+
+/**
+ * Loads config.js in a new process, as it reads the environment when it is required.
+ *
+ * @param {Object} env - The environment variables.
+ * @returns {Object} - `{ config }` or `{ error }` with the message of the `ConfigError`.
+ */
+const loadConfig = (env) => {
+  const script =
+    "try { console.log(JSON.stringify({ config: require('./config') })) } " +
+    'catch (err) { console.log(JSON.stringify({ error: err.message })) }';
+  const { stdout } = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8',
+    timeout: 10000,
+  });
+
+  return JSON.parse(stdout);
+};
+
+describe('PAYMENT_PROVIDER', () => {
+  it('defaults to the fake provider outside of production', () => {
+    const { config } = loadConfig({ ...PRODUCTION_ENV, NODE_ENV: 'development' });
+
+    assert.equal(config.paymentProvider, 'fake');
+  });
+
+  it('is required in production', () => {
+    assert.match(loadConfig(PRODUCTION_ENV).error, /PAYMENT_PROVIDER is required/);
+  });
+
+  it('can not be the fake provider in production', () => {
+    const { error } = loadConfig({ ...PRODUCTION_ENV, PAYMENT_PROVIDER: 'fake' });
+
+    assert.match(error, /PAYMENT_PROVIDER can not be fake in production/);
+  });
+
+  it('rejects unknown providers when the server starts', () => {
+    const { error } = loadConfig({ NODE_ENV: 'test', PAYMENT_PROVIDER: 'stirpe' });
+
+    assert.match(error, /PAYMENT_PROVIDER must be one of fake \(got "stirpe"\)/);
+  });
+});
+
+describe('JWT_ACCESS_EXPIRES_IN', () => {
+  it('is converted for the token and the jwt cookie', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test', JWT_ACCESS_EXPIRES_IN: '1h' });
+
+    assert.equal(config.jwt.accessExpiresIn, 60 * 60);
+    assert.equal(config.jwt.accessExpiresInMs, 60 * 60 * 1000);
+  });
+
+  it('reads a duration without a unit as seconds', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test', JWT_ACCESS_EXPIRES_IN: '900' });
+
+    assert.equal(config.jwt.accessExpiresIn, 900);
+    assert.equal(config.jwt.accessExpiresInMs, 900 * 1000);
+  });
+
+  it('fails loudly for the variables it replaced', () => {
+    const { error } = loadConfig({
+      NODE_ENV: 'test',
+      JWT_EXPIRES_IN: '90d',
+      JWT_COOKIE_EXPIRES_IN: '90',
+    });
+
+    assert.match(error, /JWT_EXPIRES_IN is no longer used, it was renamed/);
+    assert.match(error, /JWT_COOKIE_EXPIRES_IN is no longer used/);
+  });
+});
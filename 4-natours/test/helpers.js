@@ -0,0 +1,93 @@
+const assert = require('node:assert/strict');
+
+/**
+ * Helpers shared by the tests.
+ */
+
+/**
+ * Asserts that a function throws an `AppError` with the given status code.
+ *
+ * @param {Function} fn
+ * @param {number} statusCode
+ * @param {RegExp} [message] - Matched against the error message.
+ */
+const assertAppError = (fn, statusCode, message) =>
+  assert.throws(fn, (err) => {
+    assert.equal(err.statusCode, statusCode);
+    if (message) assert.match(err.message, message);
+    return true;
+  });
+
+/**
+ * A stand-in for an express response that records what the handler sent.
+ *
+ * @returns {Object} - With the `statusCode`, the `body` and the `cookies` that were set.
+ */
+const fakeResponse = () => ({
+  cookies: {},
+  status(statusCode) {
+    this.statusCode = statusCode;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  cookie(name, value, options) {
+    this.cookies[name] = { value, options };
+    return this;
+  },
+  clearCookie(name) {
+    delete this.cookies[name];
+    return this;
+  },
+});
+
+/**
+ * Runs an express middleware or route handler and resolves with the error it passed to `next`,
+ * or null if it called `next()` or sent a response.
+ *
+ * @param {Function} handler
+ * @param {Object} req - A fake request.
+ * @param {Object} [res] - From `fakeResponse`, to check what was sent.
+ * @returns {Promise<AppError|null>}
+ */
+const runHandler = (handler, req, res) =>
+  new Promise((resolve) => {
+    const response = res || fakeResponse();
+    const send = response.json.bind(response);
+
+    response.json = (body) => {
+      send(body);
+      resolve(null);
+      return response;
+    };
+
+    handler(req, response, (err) => resolve(err || null));
+  });
+
+/**
+ * A stand-in for a mongoose query that resolves with the given result, e.g. for
+ * `User.findById(id).setOptions(...).select(...)` when `findById` is mocked with
+ * `mock.method(User, 'findById', () => fakeQuery(user))`.
+ *
+ * @param {*} result - What awaiting the query returns.
+ * @returns {Object}
+ */
+const fakeQuery = (result) => {
+  const query = {
+    setOptions: () => query,
+    select: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+
+  return query;
+};
+
+module.exports = {
+  assertAppError,
+  fakeResponse,
+  runHandler,
+  fakeQuery,
+};
@@ -0,0 +1,198 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const oidc = require('../utils/oidc');
+const { oauthCallback } = require('../controllers/oauthController');
+const { runHandler, fakeResponse, fakeQuery } = require('./helpers');
+
+const provider = { name: 'mock', issuer: 'http://localhost:9000', clientId: 'natours' };
+const account = { provider: 'mock', subject: 'mock-subject' };
+
+/**
+ * A user as loaded from the database, whose changes are not saved for real.
+ *
+ * @param {Object} [fields] - Overrides, e.g. `{ emailVerified: false }`.
+ * @returns {Object}
+ */
+const storedUser = (fields) => {
+  const user = User.hydrate({
+    _id: '5c8a1d5b0190b214360dc057',
+    name: 'Jonas',
+    email: 'jonas@example.com',
+    role: 'user',
+    active: true,
+    emailVerified: true,
+    oauthAccounts: [],
+    ...fields,
+  });
+  user.save = mock.fn(async () => user);
+
+  return user;
+};
+
+/**
+ * The request of the provider's redirect, with the state cookie of `startAuthorization`.
+ *
+ * @param {Object} [state] - Overrides of the state, e.g. `{ linkUserId }`.
+ * @returns {Object}
+ */
+const callbackRequest = (state) => ({
+  params: { provider: 'mock' },
+  query: { code: 'code', state: 'state' },
+  cookies: {
+    oidcState: jwt.sign(
+      {
+        purpose: 'oidc-state',
+        provider: 'mock',
+        state: 'state',
+        nonce: 'nonce',
+        codeVerifier: 'verifier',
+        redirectUri: 'http://localhost:3000/api/v1/users/oauth/mock/callback',
+        ...state,
+      },
+      config.jwt.secret
+    ),
+  },
+  get: () => undefined,
+});
+
+describe('oauthCallback', () => {
+  let claims;
+  let linkedUser;
+  let existingUser;
+
+  beforeEach(() => {
+    claims = { sub: account.subject, email: 'jonas@example.com', email_verified: true };
+    linkedUser = null;
+    existingUser = null;
+
+    mock.method(oidc, 'getProvider', () => provider);
+    mock.method(oidc, 'exchangeCode', async () => ({ id_token: 'id-token' }));
+    mock.method(oidc, 'verifyIdToken', async () => claims);
+
+    // The user with the provider account, or the one with the email address
+    mock.method(User, 'findOne', (filter) =>
+      fakeQuery(filter.oauthAccounts ? linkedUser : existingUser)
+    );
+    mock.method(User, 'findById', () => fakeQuery(existingUser));
+    mock.method(User, 'create', async (data) => storedUser(data));
+    mock.method(Session.prototype, 'save', async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('logs in the user that has linked the provider account', async () => {
+    linkedUser = storedUser({ oauthAccounts: [account] });
+    const res = fakeResponse();
+
+    assert.equal(await runHandler(oauthCallback, callbackRequest(), res), null);
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.cookies.jwt);
+    assert.equal(User.create.mock.callCount(), 0);
+  });
+
+  it('links the provider account to the user with the same verified email', async () => {
+    existingUser = storedUser();
+    const res = fakeResponse();
+
+    assert.equal(await runHandler(oauthCallback, callbackRequest(), res), null);
+    assert.equal(existingUser.oauthAccounts[0].subject, account.subject);
+    assert.equal(existingUser.save.mock.callCount(), 1);
+    assert.ok(res.cookies.jwt);
+  });
+
+  it('does not link an account if the provider has not verified the email', async () => {
+    existingUser = storedUser();
+    claims.email_verified = false;
+
+    const err = await runHandler(oauthCallback, callbackRequest());
+    assert.equal(err.statusCode, 409);
+    assert.equal(existingUser.save.mock.callCount(), 0);
+  });
+
+  it('does not link an account whose email we have not verified', async () => {
+    existingUser = storedUser({ emailVerified: false });
+
+    const err = await runHandler(oauthCallback, callbackRequest());
+    assert.equal(err.statusCode, 409);
+    assert.equal(existingUser.oauthAccounts.length, 0);
+  });
+
+  it('signs up a new user with the provider account', async () => {
+    const res = fakeResponse();
+
+    assert.equal(await runHandler(oauthCallback, callbackRequest(), res), null);
+
+    const [data] = User.create.mock.calls[0].arguments;
+    assert.equal(data.email, 'jonas@example.com');
+    assert.equal(data.role, 'user');
+    assert.equal(data.emailVerified, true);
+    assert.deepEqual(data.oauthAccounts, [{ ...account, email: 'jonas@example.com' }]);
+    assert.ok(res.cookies.jwt);
+  });
+
+  it('rejects deactivated users instead of signing them up again', async () => {
+    existingUser = storedUser({ active: false });
+
+    const err = await runHandler(oauthCallback, callbackRequest());
+    assert.equal(err.statusCode, 401);
+    assert.match(err.message, /deactivated/);
+    assert.equal(User.create.mock.callCount(), 0);
+  });
+
+  it('rejects users that are locked after failed logins', async () => {
+    const lockUntil = new Date(Date.now() + 10 * 60 * 1000);
+
+    linkedUser = storedUser({ oauthAccounts: [account], lockUntil });
+    let err = await runHandler(oauthCallback, callbackRequest());
+    assert.equal(err.statusCode, 423);
+
+    linkedUser = null;
+    existingUser = storedUser({ lockUntil });
+    err = await runHandler(oauthCallback, callbackRequest());
+    assert.equal(err.statusCode, 423);
+    assert.equal(existingUser.save.mock.callCount(), 0);
+  });
+
+  it('asks users with two-factor authentication for a code', async () => {
+    linkedUser = storedUser({ oauthAccounts: [account], twoFactorEnabled: true });
+    const res = fakeResponse();
+
+    assert.equal(await runHandler(oauthCallback, callbackRequest(), res), null);
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.equal(res.cookies.jwt, undefined);
+  });
+
+  it('links the provider account to the logged in user', async () => {
+    existingUser = storedUser();
+    const res = fakeResponse();
+
+    const req = callbackRequest({ linkUserId: String(existingUser._id) });
+    assert.equal(await runHandler(oauthCallback, req, res), null);
+    assert.equal(existingUser.oauthAccounts[0].subject, account.subject);
+    assert.match(res.body.message, /has been linked/);
+  });
+
+  it('does not link a provider account that belongs to another user', async () => {
+    linkedUser = storedUser({
+      _id: '5c8a1dfa2f8fb814b56fa181',
+      oauthAccounts: [account],
+    });
+
+    const req = callbackRequest({ linkUserId: '5c8a1d5b0190b214360dc057' });
+    assert.equal((await runHandler(oauthCallback, req)).statusCode, 409);
+  });
+
+  it('rejects callbacks whose state does not match the cookie', async () => {
+    const req = callbackRequest();
+    req.query.state = 'another-state';
+
+    assert.equal((await runHandler(oauthCallback, req)).statusCode, 401);
+    assert.equal(oidc.exchangeCode.mock.callCount(), 0);
+  });
+});
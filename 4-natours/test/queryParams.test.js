@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const parseQueryParams = require('../utils/queryParams');
+
+// The parameters of a report, like the tour statistics
+const spec = {
+  groupBy: { type: 'enum', values: ['difficulty', 'duration'], default: 'difficulty' },
+  minRating: { type: 'number', min: 1, max: 5, default: 4.5 },
+  year: { type: 'integer', min: 2000 },
+  includeSecret: { type: 'boolean', default: false },
+  from: { type: 'date' },
+  metrics: { type: 'list', values: ['avgPrice', 'minPrice'], default: ['avgPrice'] },
+  sort: { type: 'sort', values: ['avgPrice', 'minPrice'], default: '-avgPrice' },
+};
+
+/**
+ * Asserts that parsing the query fails with a 400 error that mentions all the problems.
+ *
+ * @param {Object} query
+ * @param {RegExp[]} problems - Matched against the error message.
+ */
+const assertInvalid = (query, problems) =>
+  assert.throws(
+    () => parseQueryParams(query, spec),
+    (err) => {
+      assert.equal(err.statusCode, 400);
+      problems.forEach((problem) => assert.match(err.message, problem));
+      return true;
+    }
+  );
+
+describe('parseQueryParams', () => {
+  it('uses the defaults for the missing and empty parameters', () => {
+    assert.deepEqual(parseQueryParams({ minRating: '' }, spec), {
+      groupBy: 'difficulty',
+      minRating: 4.5,
+      year: undefined,
+      includeSecret: false,
+      from: undefined,
+      metrics: ['avgPrice'],
+      sort: { field: 'avgPrice', order: -1 },
+    });
+  });
+
+  it('converts the values to their types', () => {
+    const params = parseQueryParams(
+      {
+        groupBy: 'duration',
+        minRating: '3.5',
+        year: '2021',
+        includeSecret: 'true',
+        from: '2021-06-01',
+        metrics: 'minPrice, avgPrice,minPrice',
+        sort: 'minPrice',
+      },
+      spec
+    );
+
+    assert.deepEqual(params, {
+      groupBy: 'duration',
+      minRating: 3.5,
+      year: 2021,
+      includeSecret: true,
+      from: new Date('2021-06-01'),
+      metrics: ['minPrice', 'avgPrice'],
+      sort: { field: 'minPrice', order: 1 },
+    });
+  });
+
+  it('rejects numbers that are invalid or out of range', () => {
+    assertInvalid({ minRating: 'high' }, [/minRating must be a number/]);
+    assertInvalid({ minRating: ' ' }, [/minRating must be a number/]);
+    assertInvalid({ minRating: '6' }, [/minRating must be at most 5/]);
+    assertInvalid({ year: '1999' }, [/year must be at least 2000/]);
+    assertInvalid({ year: '2021.5' }, [/year must be a whole number/]);
+  });
+
+  it('rejects invalid booleans, dates, enums, lists and sort fields', () => {
+    assertInvalid({ includeSecret: 'yes' }, [/includeSecret must be true or false/]);
+    assertInvalid({ from: 'June' }, [/from must be a date/]);
+    assertInvalid({ from: '2021-13-45' }, [/from must be a date/]);
+    assertInvalid({ groupBy: 'price' }, [/groupBy must be one of difficulty, duration/]);
+    assertInvalid({ metrics: 'avgPrice,maxPrice' }, [/metrics must be a list of/]);
+    assertInvalid({ metrics: ',' }, [/metrics must be a list of/]);
+    assertInvalid({ sort: '-name' }, [/sort must be one of avgPrice, minPrice/]);
+  });
+
+  it('rejects parameters that are given more than once', () => {
+    assertInvalid({ groupBy: ['difficulty', 'duration'] }, [
+      /groupBy can only be given once/,
+    ]);
+  });
+
+  it('lists all the problems in one error, with the allowed parameters', () => {
+    assertInvalid({ minRating: '0', limit: '5', groupBy: 'price' }, [
+      /Unknown parameter "limit", allowed are: groupBy, minRating, year/,
+      /minRating must be at least 1/,
+      /groupBy must be one of/,
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Tour = require('../models/tour.model');
+const { parseSearchQuery, getHighlights } = require('../utils/textSearch');
+const { assertAppError } = require('./helpers');
+
+describe('parseSearchQuery', () => {
+  it('passes the trimmed search string on to $text', () => {
+    assert.equal(parseSearchQuery('  forest hiker ').text, 'forest hiker');
+  });
+
+  it('rejects missing and repeated search strings', () => {
+    for (const q of [undefined, '', '   ', ['forest', 'sea']]) {
+      assertAppError(() => parseSearchQuery(q), 400, /\?q=/);
+    }
+  });
+
+  it('rejects search strings that are too long', () => {
+    assertAppError(() => parseSearchQuery('a'.repeat(201)), 400, /at most 200/);
+  });
+
+  it('rejects search strings that only exclude words', () => {
+    assertAppError(() => parseSearchQuery('-snow -"city tour"'), 400, /not excluded/);
+  });
+});
+
+describe('getHighlights', () => {
+  const highlight = (q, fields) =>
+    getHighlights(Tour.hydrate(fields), Object.keys(fields), parseSearchQuery(q));
+
+  it('marks the words with other endings as well', () => {
+    assert.deepEqual(
+      highlight('hiking', { name: 'The Forest Hiker', summary: 'A hike' }),
+      {
+        name: 'The Forest <mark>Hiker</mark>',
+        summary: 'A <mark>hike</mark>',
+      }
+    );
+  });
+
+  it('marks phrases as a whole and leaves out the fields without a match', () => {
+    assert.deepEqual(
+      highlight('"sea explorer"', { name: 'The Sea Explorer', summary: 'Sea and sun' }),
+      { name: 'The <mark>Sea Explorer</mark>' }
+    );
+  });
+
+  it('does not mark excluded words', () => {
+    assert.deepEqual(highlight('forest -snow', { summary: 'Forest in the snow' }), {
+      summary: '<mark>Forest</mark> in the snow',
+    });
+  });
+
+  it('only marks short words as whole words', () => {
+    assert.deepEqual(highlight('go', { summary: 'Go where nobody has gone' }), {
+      summary: '<mark>Go</mark> where nobody has gone',
+    });
+  });
+
+  it('matches special characters literally and escapes the HTML', () => {
+    assert.deepEqual(highlight('(forest)', { summary: 'Forest <b> & .*' }), {
+      summary: '<mark>Forest</mark> &lt;b&gt; &amp; .*',
+    });
+  });
+
+  it('cuts long texts to a snippet around the first match', () => {
+    const description = `${'Lorem ipsum dolor. '.repeat(
+      10
+    )}The camper ${'sit amet. '.repeat(20)}`;
+    const { description: snippet } = highlight('camper', { description });
+
+    assert.match(snippet, /^….*<mark>camper<\/mark>.*…$/);
+    assert.ok(snippet.length < description.length);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  buildOtpauthURI,
+} = require('../utils/totp');
+
+// The SHA1 secret of the test vectors in RFC 6238 (appendix B), base32 encoded
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// Time in seconds and the expected code, the RFC lists 8 digits, we use the last 6
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+describe('base32', () => {
+  it('encodes and decodes the test vectors of RFC 4648', () => {
+    for (const [text, encoded] of [
+      ['f', 'MY'],
+      ['foo', 'MZXW6'],
+      ['foobar', 'MZXW6YTBOI'],
+    ]) {
+      assert.equal(base32Encode(Buffer.from(text)), encoded);
+      assert.equal(base32Decode(encoded).toString(), text);
+    }
+  });
+
+  it('accepts lower case letters, spaces and padding', () => {
+    assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+  });
+
+  it('rejects characters outside of the alphabet', () => {
+    assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character: 1/);
+  });
+});
+
+describe('TOTP', () => {
+  it('generates the codes of the RFC 6238 test vectors', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(generateToken(RFC_SECRET, seconds * 1000), code, `at ${seconds}s`);
+    }
+  });
+
+  it('verifies a code and returns its step', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      const time = seconds * 1000;
+
+      assert.equal(verifyToken(RFC_SECRET, code, { time }), Math.floor(seconds / 30));
+    }
+  });
+
+  it('accepts the codes of the neighbouring steps only', () => {
+    const time = 1111111111 * 1000;
+    const code = (stepOffset) => generateToken(RFC_SECRET, time + stepOffset * 30 * 1000);
+
+    assert.notEqual(verifyToken(RFC_SECRET, code(-1), { time }), null);
+    assert.notEqual(verifyToken(RFC_SECRET, code(1), { time }), null);
+    assert.equal(verifyToken(RFC_SECRET, code(2), { time }), null);
+    assert.equal(verifyToken(RFC_SECRET, code(1), { time, window: 0 }), null);
+  });
+
+  it('rejects wrong and malformed codes', () => {
+    const time = 59 * 1000;
+
+    for (const token of ['287083', '28708', '2870820', '28708a', 287082, undefined]) {
+      assert.equal(verifyToken(RFC_SECRET, token, { time }), null);
+    }
+  });
+
+  it('generates random 160 bit secrets', () => {
+    const secret = generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Decode(secret).length, 20);
+    assert.notEqual(generateSecret(), secret);
+  });
+
+  it('builds the otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthURI({ secret: RFC_SECRET, accountName: 'admin@natours.io' });
+
+    assert.equal(
+      uri,
+      'otpauth://totp/Natours%3Aadmin%40natours.io?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' +
+        '&issuer=Natours&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Tour = require('../models/tour.model');
+
+describe('tour startLocation', () => {
+  it('is left out if the tour has no start location', () => {
+    const tour = new Tour({ name: 'The Forest Hiker' });
+
+    // `{ type: 'Point' }` without coordinates is rejected by the 2dsphere index
+    assert.equal(tour.toObject().startLocation, undefined);
+  });
+
+  it('is a GeoJSON Point if coordinates are given', () => {
+    const tour = new Tour({
+      name: 'The Forest Hiker',
+      startLocation: { coordinates: [-80.185942, 25.774772], address: 'Miami, USA' },
+    });
+
+    assert.deepEqual(tour.toObject().startLocation, {
+      type: 'Point',
+      coordinates: [-80.185942, 25.774772],
+      address: 'Miami, USA',
+    });
+  });
+
+  it('needs coordinates if it has an address', () => {
+    const tour = new Tour({
+      name: 'The Forest Hiker',
+      startLocation: { address: 'Miami' },
+    });
+    const err = tour.validateSync();
+
+    assert.match(
+      err.errors['startLocation.coordinates'].message,
+      /must have coordinates/
+    );
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Tour = require('../models/tour.model');
+const { createTour, updateTour } = require('../controllers/tourController');
+const { runHandler, fakeQuery } = require('./helpers');
+
+// A tour in the request body, with the fields that can't be written through the API
+const body = {
+  name: 'The Forest Hiker',
+  price: 397,
+  ratingsAverage: 5,
+  ratingsQuantity: 1000,
+  secretTour: true,
+  slug: 'another-slug',
+};
+
+describe('writing tours', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only creates tours from the allowed fields', async () => {
+    mock.method(Tour, 'create', async (data) => data);
+
+    assert.equal(await runHandler(createTour, { body }), null);
+    assert.deepEqual(Tour.create.mock.calls[0].arguments[0], {
+      name: 'The Forest Hiker',
+      price: 397,
+    });
+  });
+
+  it('only updates the allowed fields', async () => {
+    mock.method(Tour, 'findByIdAndUpdate', () => fakeQuery({}));
+
+    assert.equal(await runHandler(updateTour, { params: { id: 'tour-id' }, body }), null);
+    assert.deepEqual(Tour.findByIdAndUpdate.mock.calls[0].arguments[1], {
+      name: 'The Forest Hiker',
+      price: 397,
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user.model');
+
+/**
+ * Runs the pre save hooks of the userSchema on a document, without validating or saving it.
+ *
+ * @param {Object} user - A user document.
+ * @returns {Promise<void>}
+ */
+const runSaveHooks = (user) =>
+  new Promise((resolve, reject) => {
+    User.schema.s.hooks.execPre('save', user, [{ validateBeforeSave: false }], (err) =>
+      err ? reject(err) : resolve()
+    );
+  });
+
+// A verified user as loaded from the database
+const verifiedUser = () =>
+  User.hydrate({
+    _id: '5c8a1d5b0190b214360dc057',
+    name: 'Jonas',
+    email: 'jonas@example.com',
+    emailVerified: true,
+  });
+
+describe('userSchema save hooks', () => {
+  it('marks a changed email address as not verified', async () => {
+    const user = verifiedUser();
+    user.email = 'someone-else@example.com';
+
+    await runSaveHooks(user);
+
+    assert.equal(user.emailVerified, false);
+  });
+
+  it('keeps the email verified if other fields change', async () => {
+    const user = verifiedUser();
+    user.name = 'Jonas Schmedtmann';
+
+    await runSaveHooks(user);
+
+    assert.equal(user.emailVerified, true);
+  });
+});
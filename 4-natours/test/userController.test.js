@@ -0,0 +1,160 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user.model');
+const {
+  createUser,
+  updateUser,
+  deleteUser,
+  deleteMe,
+  updateUserRole,
+} = require('../controllers/userController');
+const { runHandler, fakeQuery } = require('./helpers');
+
+// An active admin as loaded by the admin routes, which can't be saved or deleted for real
+const adminUser = () => {
+  const user = User.hydrate({
+    _id: '5c8a1d5b0190b214360dc057',
+    name: 'Admin',
+    email: 'admin@example.com',
+    role: 'admin',
+    active: true,
+  });
+  user.save = mock.fn(async () => user);
+  user.deleteOne = mock.fn(async () => user);
+
+  return user;
+};
+
+describe('removing the last active admin', () => {
+  let user;
+  let otherAdmins;
+
+  beforeEach(() => {
+    user = adminUser();
+    otherAdmins = 0;
+
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(User, 'countDocuments', async () => otherAdmins);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const request = (body = {}) => ({
+    params: { id: String(user._id) },
+    body,
+    user: { _id: 'other-admin-id', role: 'admin' },
+  });
+
+  it('does not let updateUser deactivate the last active admin', async () => {
+    const err = await runHandler(updateUser, request({ active: false }));
+
+    assert.equal(err.statusCode, 400);
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+
+  it('lets updateUser deactivate an admin if there is another active admin', async () => {
+    otherAdmins = 1;
+
+    assert.equal(await runHandler(updateUser, request({ active: false })), null);
+    assert.equal(user.active, false);
+    assert.equal(user.save.mock.callCount(), 1);
+  });
+
+  it('does not count the admins for other changes', async () => {
+    assert.equal(await runHandler(updateUser, request({ name: 'New Name' })), null);
+    assert.equal(User.countDocuments.mock.callCount(), 0);
+  });
+
+  it('does not let deleteUser delete the last active admin', async () => {
+    const err = await runHandler(deleteUser, request());
+
+    assert.equal(err.statusCode, 400);
+    assert.equal(user.deleteOne.mock.callCount(), 0);
+  });
+
+  it('lets deleteUser delete an admin if there is another active admin', async () => {
+    otherAdmins = 1;
+
+    assert.equal(await runHandler(deleteUser, request()), null);
+    assert.equal(user.deleteOne.mock.callCount(), 1);
+  });
+
+  it('does not let the last active admin deactivate their own account', async () => {
+    const err = await runHandler(deleteMe, { user });
+
+    assert.equal(err.statusCode, 400);
+  });
+
+  it('does not let updateUserRole demote the last active admin', async () => {
+    const err = await runHandler(updateUserRole, request({ role: 'user' }));
+
+    assert.equal(err.statusCode, 400);
+    assert.match(err.message, /last remaining admin/);
+    assert.equal(user.role, 'admin');
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+});
+
+describe('updateUserRole', () => {
+  let user;
+
+  beforeEach(() => {
+    user = adminUser();
+    user.role = 'user';
+
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(User, 'countDocuments', async () => 1);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const request = (role) => ({
+    params: { id: String(user._id) },
+    body: { role },
+    user: { _id: '5c8a1dfa2f8fb814b56fa181', role: 'admin' },
+  });
+
+  it('records every role change in the role history', async () => {
+    assert.equal(await runHandler(updateUserRole, request('guide')), null);
+    assert.equal(await runHandler(updateUserRole, request('lead-guide')), null);
+
+    assert.equal(user.role, 'lead-guide');
+    assert.deepEqual(
+      user.roleHistory.map(({ role, previousRole, changedBy }) => ({
+        role,
+        previousRole,
+        changedBy: String(changedBy),
+      })),
+      [
+        { role: 'guide', previousRole: 'user', changedBy: '5c8a1dfa2f8fb814b56fa181' },
+        {
+          role: 'lead-guide',
+          previousRole: 'guide',
+          changedBy: '5c8a1dfa2f8fb814b56fa181',
+        },
+      ]
+    );
+    assert.equal(user.save.mock.callCount(), 2);
+  });
+
+  it('rejects unknown roles and unchanged roles', async () => {
+    assert.equal(
+      (await runHandler(updateUserRole, request('superuser'))).statusCode,
+      400
+    );
+    assert.equal((await runHandler(updateUserRole, request('user'))).statusCode, 400);
+    assert.equal(user.roleHistory.length, 0);
+  });
+});
+
+describe('createUser', () => {
+  it('does not take a role, which has to be given with updateUserRole', async () => {
+    const err = await runHandler(createUser, {
+      body: { name: 'New Admin', email: 'new@example.com', role: 'admin' },
+      user: { _id: '5c8a1dfa2f8fb814b56fa181', role: 'admin' },
+    });
+
+    assert.equal(err.statusCode, 400);
+    assert.match(err.message, /\/users\/:id\/role/);
+  });
+});
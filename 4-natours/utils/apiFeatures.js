@@ -1,64 +1,533 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+
 /**
  * APIFeatures class is responsible for applying query operations such as filtering, sorting,
  * field limiting, and pagination to a Mongoose query object based on the incoming HTTP request parameters.
  *
  * It enables chaining of methods to refine the query before executing it against the database.
+ *
+ * ### Filter syntax
+ *
+ * `?<field>=<value>` or `?<field>[<operator>]=<value>`, e.g.
+ * `/tours?difficulty[in]=easy,medium&price[between]=300,1000&name[contains]=forest`
+ *
+ * - `eq`, `ne` - Equal (the default) or not equal.
+ * - `gt`, `gte`, `lt`, `lte` - Comparisons, for numbers and dates.
+ * - `between` - Two comma separated values, both included, for numbers and dates.
+ * - `in`, `nin` - A comma separated list of values.
+ * - `exists` - `true` or `false`, whether the field is set.
+ * - `contains` - Case insensitive text search, for strings.
+ *
+ * Only the fields the route allows can be used (the `filterFields` option of the constructor,
+ * usually the `filterFields` static of the model, e.g. `Tour.filterFields`), and the values
+ * are converted to the type of the field. Without the option, all fields of the model's schema
+ * except the hidden ones (like `password`) are allowed. Unknown fields, unknown operators and
+ * invalid values are rejected with a 400 error.
+ *
+ * ### Fields
+ *
+ * `?fields=name,price` only returns the given fields, `?fields=-description` leaves them out.
+ * The hidden fields (like `password`) can't be requested, unknown fields are a 400 error.
+ *
+ * ### Pagination
+ *
+ * - Pages (the default): `?page=2&limit=20`. The response tells the `total` number of documents
+ *   and `pages`, pages after the last one are a 404 error.
+ * - Cursors (opt-in with `?pagination=cursor`): the response contains opaque `next` and `prev`
+ *   cursors, which are sent back as `?cursor=...`. Unlike pages, documents that are added or
+ *   removed in the meantime don't shift the following pages, and deep pages stay fast.
+ *
+ * `?sort=` accepts the same fields as the filters.
+ * `limit` defaults to 20 and is capped at 100. The sort order always ends with `_id`, so
+ * documents with equal values (e.g. the same rating) keep the same order on every request.
+ */
+
+// Query parameters that are not filters, they are used by the other methods
+const RESERVED_PARAMS = ['page', 'sort', 'limit', 'fields', 'pagination', 'cursor'];
+
+// Number of documents per page, if no `limit` is given, and the most that can be requested
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// The operators that can be used with each type of field
+const EQUALITY_OPERATORS = ['eq', 'ne', 'in', 'nin', 'exists'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+
+const OPERATORS_BY_TYPE = {
+  String: [...EQUALITY_OPERATORS, 'contains'],
+  Number: [...EQUALITY_OPERATORS, ...RANGE_OPERATORS],
+  Date: [...EQUALITY_OPERATORS, ...RANGE_OPERATORS],
+  Boolean: ['eq', 'ne', 'exists'],
+  ObjectId: EQUALITY_OPERATORS,
+};
+
+/**
+ * Returns the fields of a schema that can be filtered, with their type.
+ * Arrays (e.g. `startDates`) are filtered by the type of their items, like mongo does.
+ * Arrays of subdocuments can't be filtered.
+ *
+ * @param {Schema} schema - The schema of the model.
+ * @param {String[]} [allowedFields] - The fields the route allows. Without it, all fields except
+ *                                     the hidden ones (`select: false`) are allowed.
+ * @returns {Object} - e.g. `{ name: 'String', price: 'Number', startDates: 'Date' }`
+ */
+const getFilterableFields = (schema, allowedFields) => {
+  const fields = {};
+
+  schema.eachPath((path, schemaType) => {
+    // `_id` is always allowed, it is the last field of every sort order (see `sort`)
+    const isAllowed = allowedFields
+      ? path === '_id' || allowedFields.includes(path)
+      : path !== '__v' && schemaType.options.select !== false;
+    if (!isAllowed) return;
+
+    const type =
+      schemaType.instance === 'Array'
+        ? schemaType.caster && schemaType.caster.instance
+        : schemaType.instance;
+
+    if (OPERATORS_BY_TYPE[type]) fields[path] = type;
+  });
+
+  return fields;
+};
+
+/**
+ * Returns the fields of a schema that can be requested with `?fields=`: all fields except the
+ * hidden ones (`select: false`, like `password`), plus the fields the route allows to filter
+ * (e.g. the hidden `active` field on the admin user list).
+ * Nested objects can be requested as a whole, e.g. `startLocation`.
+ *
+ * @param {Schema} schema - The schema of the model.
+ * @param {String[]} [allowedFields] - The fields the route allows to filter.
+ * @returns {Set<String>}
+ */
+const getSelectableFields = (schema, allowedFields = []) => {
+  const fields = new Set(allowedFields);
+
+  schema.eachPath((path, schemaType) => {
+    if (path === '__v' || schemaType.options.select === false) return;
+
+    // `startLocation.coordinates` can be requested as `startLocation` as well
+    const parts = path.split('.');
+    parts.forEach((part, i) => fields.add(parts.slice(0, i + 1).join('.')));
+  });
+
+  return fields;
+};
+
+/**
+ * Escapes the special characters of a regular expression, so user input is matched literally.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts a value from the query string to the type of the field.
+ *
+ * @param {String} field - e.g. `price`.
+ * @param {String} type - The type of the field, one of the keys of `OPERATORS_BY_TYPE`.
+ * @param {String} value - The value from the query string.
+ * @returns {*} - The converted value.
+ * @throws {AppError} - 400 if the value can't be converted.
+ */
+const coerceValue = (field, type, value) => {
+  const invalid = (expected) =>
+    new AppError(`Invalid value "${value}" for ${field}: expected ${expected}`, 400);
+
+  switch (type) {
+    case 'Number': {
+      const number = Number(value);
+      if (value.trim() === '' || !Number.isFinite(number)) throw invalid('a number');
+      return number;
+    }
+    case 'Date': {
+      const date = new Date(value);
+      if (value.trim() === '' || Number.isNaN(date.getTime())) throw invalid('a date');
+      return date;
+    }
+    case 'Boolean':
+      if (value !== 'true' && value !== 'false') throw invalid('true or false');
+      return value === 'true';
+    case 'ObjectId':
+      if (!mongoose.isValidObjectId(value)) throw invalid('an id');
+      return new mongoose.Types.ObjectId(`${value}`);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Splits a value into a list, e.g. `easy,medium` or `?difficulty=easy&difficulty=medium`.
+ *
+ * @param {String|String[]} value
+ * @returns {String[]}
+ */
+const toList = (value) =>
+  [].concat(value).flatMap((item) => item.split(',').map((part) => part.trim()));
+
+/**
+ * Builds the mongo condition of one operator, e.g. `price[between]=300,1000` becomes
+ * `{ $gte: 300, $lte: 1000 }`.
+ *
+ * @param {String} field - e.g. `price`.
+ * @param {String} type - The type of the field.
+ * @param {String} operator - e.g. `between`.
+ * @param {String|String[]} value - The value from the query string (an array if it was repeated).
+ * @returns {Object} - The mongo operators.
+ * @throws {AppError} - 400 if the value is invalid for the operator.
+ */
+const buildCondition = (field, type, operator, value) => {
+  const coerce = (item) => coerceValue(field, type, item);
+
+  // Only `in`, `nin` and `between` take several values. A repeated `?difficulty=...` is the
+  // same as `difficulty[in]` (repeating is allowed for the fields in the hpp whitelist)
+  if (Array.isArray(value) && !['eq', 'in', 'nin', 'between'].includes(operator)) {
+    throw new AppError(`${field}[${operator}] can only be given once`, 400);
+  }
+
+  switch (operator) {
+    case 'eq':
+      return Array.isArray(value) ? { $in: value.map(coerce) } : { $eq: coerce(value) };
+    case 'in':
+    case 'nin':
+      return { [`$${operator}`]: toList(value).map(coerce) };
+    case 'between': {
+      const bounds = toList(value);
+      if (bounds.length !== 2) {
+        throw new AppError(`${field}[between] needs two values e.g. 300,1000`, 400);
+      }
+      return { $gte: coerce(bounds[0]), $lte: coerce(bounds[1]) };
+    }
+    case 'exists':
+      return { $exists: coerceValue(field, 'Boolean', value) };
+    case 'contains':
+      return { $regex: escapeRegex(value), $options: 'i' };
+    default:
+      // ne, gt, gte, lt, lte
+      return { [`$${operator}`]: coerce(value) };
+  }
+};
+
+/**
+ * Parses the filters of the query string into a mongo filter, see "Filter syntax" above.
+ *
+ * @param {Object} queryObject - The query parameters without the reserved ones.
+ * @param {Schema} schema - The schema of the model that is queried.
+ * @param {String[]} [allowedFields] - The fields that can be filtered, see `getFilterableFields`.
+ * @returns {Object} - The mongo filter.
+ * @throws {AppError} - 400 for unknown fields, unknown operators and invalid values.
+ */
+const parseFilter = (queryObject, schema, allowedFields) => {
+  const fields = getFilterableFields(schema, allowedFields);
+  const filter = {};
+
+  Object.entries(queryObject).forEach(([field, rawValue]) => {
+    const type = fields[field];
+
+    if (!type) {
+      const allowedFields = Object.keys(fields).join(', ');
+      throw new AppError(
+        `Unknown filter field "${field}". Allowed fields: ${allowedFields}`,
+        400
+      );
+    }
+
+    // `?price=500` is short for `?price[eq]=500`
+    const isOperatorObject =
+      rawValue !== null && typeof rawValue === 'object' && !Array.isArray(rawValue);
+    const operations = isOperatorObject ? rawValue : { eq: rawValue };
+
+    filter[field] = {};
+
+    Object.entries(operations).forEach(([operator, value]) => {
+      const allowedOperators = OPERATORS_BY_TYPE[type];
+
+      if (!allowedOperators.includes(operator)) {
+        throw new AppError(
+          `Unknown operator "${operator}" for ${field}. ` +
+            `Allowed operators: ${allowedOperators.join(', ')}`,
+          400
+        );
+      }
+
+      const isString = (item) => typeof item === 'string';
+      if (!(isString(value) || (Array.isArray(value) && value.every(isString)))) {
+        throw new AppError(`Invalid value for ${field}[${operator}]`, 400);
+      }
+
+      // Several operators on the same field are combined e.g. `price[gte]=300&price[lt]=1000`
+      Object.assign(filter[field], buildCondition(field, type, operator, value));
+    });
+  });
+
+  return filter;
+};
+
+/**
+ * Parses a positive whole number from the query string, e.g. `page` or `limit`.
+ *
+ * @param {String} name - The name of the parameter, for the error message.
+ * @param {String} [value] - The value from the query string.
+ * @param {number} defaultValue - Used if the parameter is not given.
+ * @returns {number}
+ * @throws {AppError} - 400 if the value is not a positive whole number.
+ */
+const parsePositiveInteger = (name, value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError(`${name} must be a positive whole number`, 400);
+  }
+
+  return number;
+};
+
+/**
+ * Returns the url of another page of the same list, with the same filters and sort order.
+ *
+ * @param {String} url - The url of the current request (`req.originalUrl`).
+ * @param {Object} params - The parameters to change, `undefined` removes a parameter.
+ * @returns {String} - e.g. `/api/v1/tours?difficulty=easy&page=3`
+ */
+const buildPageUrl = (url, params) => {
+  const [path, query] = url.split('?');
+  const searchParams = new URLSearchParams(query);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined) searchParams.delete(key);
+    else searchParams.set(key, value);
+  });
+
+  const queryString = searchParams.toString();
+  return queryString ? `${path}?${queryString}` : path;
+};
+
+/**
+ * Cursors contain the sort values of the first or last document of a page, so the next query
+ * can continue right before or after it. They are base64url encoded JSON, which clients should
+ * treat as opaque strings.
+ *
+ * @param {Object} doc - The document the next page continues from.
+ * @param {Array[]} sortFields - e.g. `[['price', 1], ['_id', 1]]`.
+ * @param {String} direction - `next` or `prev`.
+ * @returns {String}
+ */
+const encodeCursor = (doc, sortFields, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      sort: sortFields.map(([field, order]) => `${field}:${order}`).join(','),
+      direction,
+      values: sortFields.map(([field]) => doc.get(field)),
+    })
+  ).toString('base64url');
+
+/**
+ * Decodes a cursor from the query string and converts its values to the types of the fields.
+ *
+ * @param {String} cursor - From `?cursor=`.
+ * @param {Array[]} sortFields - The sort order of the current request.
+ * @param {Schema} schema - The schema of the model that is queried.
+ * @returns {Object} - `{ direction, values }`
+ * @throws {AppError} - 400 if the cursor is invalid or was created for another sort order.
  */
+const decodeCursor = (cursor, sortFields, schema) => {
+  const invalidCursor = new AppError('Invalid cursor', 400);
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (err) {
+    throw invalidCursor;
+  }
+
+  const sort = sortFields.map(([field, order]) => `${field}:${order}`).join(',');
+  if (
+    !payload ||
+    !['next', 'prev'].includes(payload.direction) ||
+    !Array.isArray(payload.values) ||
+    payload.values.length !== sortFields.length
+  ) {
+    throw invalidCursor;
+  }
+
+  if (payload.sort !== sort) {
+    throw new AppError('The cursor belongs to a different sort order', 400);
+  }
+
+  try {
+    const values = sortFields.map(([field], i) =>
+      coerceValue(field, schema.path(field).instance, String(payload.values[i]))
+    );
+    return { direction: payload.direction, values };
+  } catch (err) {
+    throw invalidCursor;
+  }
+};
+
+/**
+ * Builds the condition that selects the documents after (or before) the cursor in the sort order.
+ * For the sort order `price, _id` and the cursor values `[500, id]`, the next page contains the
+ * documents with `price > 500`, or `price = 500 and _id > id`.
+ *
+ * @param {Array[]} sortFields - e.g. `[['price', 1], ['_id', 1]]`.
+ * @param {Object} cursor - The decoded cursor.
+ * @returns {Object} - The mongo filter.
+ */
+const buildCursorCondition = (sortFields, { direction, values }) => ({
+  $or: sortFields.map(([field, order], i) => {
+    const isAfter = (order === 1) === (direction === 'next');
+
+    return {
+      ...Object.fromEntries(
+        sortFields.slice(0, i).map(([previous], j) => [previous, values[j]])
+      ),
+      [field]: { [isAfter ? '$gt' : '$lt']: values[i] },
+    };
+  }),
+});
+
+/**
+ * Checks that documents can be paginated with cursors in the given sort order. The fields must
+ * be single values that can be filtered (so no hidden fields end up in a cursor) and always
+ * have a value (required or with a default), because documents without a value can't be
+ * compared with the cursor and would be skipped.
+ *
+ * @param {Array[]} sortFields
+ * @param {Schema} schema
+ * @param {String[]} [allowedFields] - The fields that can be filtered, see `getFilterableFields`.
+ * @throws {AppError} - 400 listing the fields that can't be used.
+ */
+const checkCursorSortFields = (sortFields, schema, allowedFields) => {
+  const fields = getFilterableFields(schema, allowedFields);
+  const { timestamps } = schema.options;
+  const timestampFields =
+    timestamps === true ? ['createdAt', 'updatedAt'] : Object.values(timestamps || {});
+
+  const invalidFields = sortFields
+    .map(([field]) => field)
+    .filter((field) => {
+      if (!fields[field] || schema.path(field).instance === 'Array') return true;
+
+      const schemaType = schema.path(field);
+      const isAlwaysSet =
+        field === '_id' ||
+        timestampFields.includes(field) ||
+        schemaType.isRequired ||
+        schemaType.defaultValue !== undefined;
+
+      return !isAlwaysSet;
+    });
+
+  if (invalidFields.length > 0) {
+    const fieldList = invalidFields.join(', ');
+    throw new AppError(
+      `Cursor pagination can't be sorted by ${fieldList}. Only fields that can be filtered ` +
+        'and that every document has a value for can be used',
+      400
+    );
+  }
+};
 
 class APIFeatures {
-  constructor(query, queryString) {
+  constructor(query, queryString, options = {}) {
     // The `query` is the Mongoose query object that will be used to interact with the database.
     // The `queryString` is the HTTP request query parameters (e.g., req.query) received from the client.
     this.query = query;
     this.queryString = queryString;
+
+    // The fields the route allows to filter (and to sort by with cursors), e.g. the hidden
+    // `active` field on the admin user list
+    this.filterFields = options.filterFields;
   }
 
-  // Method to apply filtering to the Mongoose query based on the query parameters in the request.
-  filter() {
+  /**
+   * Parses the filters of the query parameters into a mongo filter, see "Filter syntax" above.
+   * The values are already converted to the types of the fields, so the filter can also be used
+   * in the `$match` stage of an aggregation, which (unlike a query) doesn't convert them.
+   *
+   * @param {Object} queryString - The query parameters, e.g. `req.query`.
+   * @param {Schema} schema - The schema of the model.
+   * @param {String[]} [filterFields] - The fields that can be filtered, see `getFilterableFields`.
+   * @returns {Object} - The mongo filter.
+   * @throws {AppError} - 400 for unknown fields, unknown operators and invalid values.
+   */
+  static getFilter(queryString, schema, filterFields) {
     // Create a shallow copy of the query parameters (queryString) from the request.
     // This ensures we don't modify the original object while manipulating it.
-    const queryObject = { ...this.queryString };
+    const queryObject = { ...queryString };
 
-    // Define an array of fields that should be excluded from filtering.
-    // These fields (e.g., `page`, `sort`, `limit`, `fields`) are used for other operations like pagination, sorting, etc.
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
-
-    // Loop through the `excludedFields` array and delete each of these fields from the `queryObject`.
+    // Remove the parameters that are used for other operations like pagination, sorting, etc.
     // This prevents them from being used as part of the filtering conditions.
-    excludedFields.forEach((el) => delete queryObject[el]);
+    RESERVED_PARAMS.forEach((el) => delete queryObject[el]);
 
-    // ADVANCED FILTERING:
-    // Convert the `queryObject` to a string so that we can manipulate it using regular expressions.
-    // We aim to transform query parameters like `gte`, `gt`, `lte`, `lt` into MongoDB operators (`$gte`, `$gt`, `$lte`, `$lt`).
-    let queryStr = JSON.stringify(queryObject);
+    return parseFilter(queryObject, schema, filterFields);
+  }
 
-    // Use a regular expression to find and replace the query operators (gte, gt, lte, lt) with their corresponding MongoDB operators.
-    // For example, `duration[gte]=5` becomes `{ duration: { $gte: 5 } }`.
-    queryStr = queryStr.replace(/\b(?:gte|gt|lte|lt)\b/g, (match) => `$${match}`);
+  // Method to apply filtering to the Mongoose query based on the query parameters in the request.
+  filter() {
+    // ADVANCED FILTERING:
+    // The parameters are checked against the schema of the model and converted to
+    // mongo operators with values of the right type, e.g. `duration[gte]=5` becomes
+    // `{ duration: { $gte: 5 } }`. Invalid filters throw a 400 error.
+    const filter = APIFeatures.getFilter(
+      this.queryString,
+      this.query.model.schema,
+      this.filterFields
+    );
 
-    // Parse the modified query string back into an object and use it to build the Mongoose query.
     // The `find()` method does not execute the query but returns a Mongoose Query object, allowing for further chaining.
-    this.query = this.query.find(JSON.parse(queryStr));
+    this.query = this.query.find(filter);
 
     // Return `this` to allow for method chaining in the `APIFeatures` class.
     return this;
   }
 
   // Method for sorting the query results based on the fields specified in the request query string.
-  sort() {
+  // `defaultSort` is used if no `sort` parameter is given, as `[field, order]` pairs, e.g.
+  // `[['ratingsAverage', -1]]` for tours or the relevance of a text search:
+  // `[['score', { $meta: 'textScore' }]]`. Without it, the documents are sorted by `_id`.
+  sort(defaultSort = []) {
+    // The sort fields are separated by commas in the request e.g. `?sort=-ratingsAverage,price`,
+    // a `-` sign means descending order.
+    // Store the sort order as `[field, 1 | -1]` pairs, the cursors of the pagination need it
+    this.sortFields = this.queryString.sort
+      ? this.queryString.sort
+          .split(',')
+          .map((field) => field.trim())
+          .filter(Boolean)
+          .map((field) => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]))
+      : [...defaultSort];
+
+    // Only the fields that can be filtered can be sorted by, the order of the hidden fields
+    // (e.g. `?sort=password`) would tell something about their values
     if (this.queryString.sort) {
-      // If the `sort` parameter is provided in the query string, convert it into a format
-      // that Mongoose can use. The sort fields are separated by commas in the request,
-      // but MongoDB expects space-separated fields.
-      const sortBy = this.queryString.sort.split(',').join(' ');
+      const fields = getFilterableFields(this.query.model.schema, this.filterFields);
+      const unknownFields = this.sortFields
+        .map(([field]) => field)
+        .filter((field) => !fields[field]);
 
-      // Chain the `sort()` method to the query and pass the formatted sort fields.
-      this.query = this.query.sort(sortBy);
-    } else {
-      // If no sort parameter is provided, the default sorting is by `ratingsAverage` in descending order.
-      this.query = this.query.sort('-ratingsAverage');
+      if (unknownFields.length > 0) {
+        throw new AppError(
+          `Unknown sort fields: ${unknownFields.join(', ')}. ` +
+            `Allowed fields: ${Object.keys(fields).join(', ')}`,
+          400
+        );
+      }
     }
 
+    // `_id` is unique, so adding it as the last sort field makes the order stable
+    if (!this.sortFields.some(([field]) => field === '_id')) {
+      this.sortFields.push(['_id', 1]);
+    }
+
+    // Chain the `sort()` method to the query and pass the sort fields.
+    this.query = this.query.sort(Object.fromEntries(this.sortFields));
+
     // Return `this` to enable method chaining in the `APIFeatures` class.
     return this;
   }
@@ -69,7 +538,29 @@ class APIFeatures {
       // If the `fields` parameter is provided in the query string, convert it into a format
       // that Mongoose can use. The requested fields are separated by commas in the request,
       // but MongoDB expects space-separated fields.
-      const selectFields = this.queryString.fields.split(',').join(' ');
+      const requestedFields = String(this.queryString.fields)
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean);
+
+      // Requesting a field overrides its `select: false`, so the hidden fields (passwords,
+      // tokens, secrets...) must be rejected here
+      const selectableFields = getSelectableFields(
+        this.query.model.schema,
+        this.filterFields
+      );
+      const unknownFields = requestedFields.filter(
+        (field) => !selectableFields.has(field.replace(/^-/, ''))
+      );
+      if (unknownFields.length > 0) {
+        throw new AppError(
+          `Unknown fields: ${unknownFields.join(', ')}. ` +
+            `Allowed fields: ${[...selectableFields].join(', ')}`,
+          400
+        );
+      }
+
+      const selectFields = requestedFields.join(' ');
 
       // Chain the `select()` method to the query and pass the formatted fields to be selected.
       this.query = this.query.select(selectFields);
@@ -83,23 +574,159 @@ class APIFeatures {
     return this;
   }
 
-  // Method for implementing pagination in the query results.
+  // Method for implementing pagination in the query results (see "Pagination" above).
   paginate() {
-    // Convert the `page` and `limit` query parameters into numbers, and set default values
-    // if they are not provided. `page` defaults to 1, and `limit` defaults to 100.
-    const page = Number(this.queryString.page) || 1;
-    const limit = Number(this.queryString.limit) || 100;
+    const { schema } = this.query.model;
+    const sortFields = this.sortFields || [['_id', 1]];
+
+    // Convert the `limit` query parameter into a number, with a default and a maximum
+    const limit = Math.min(
+      parsePositiveInteger('limit', this.queryString.limit, DEFAULT_LIMIT),
+      MAX_LIMIT
+    );
+
+    // The total number of documents is counted with the same filter (and options, like
+    // `includeInactive` for users), but without the pagination
+    const { sort, skip, limit: queryLimit, ...options } = this.query.getOptions();
+    this.countQuery = this.query.model
+      .countDocuments(this.query.getFilter())
+      .setOptions(options);
+
+    const isCursorMode =
+      this.queryString.pagination === 'cursor' || this.queryString.cursor !== undefined;
+
+    if (!isCursorMode) {
+      const page = parsePositiveInteger('page', this.queryString.page, 1);
+      this.pagination = { mode: 'page', page, limit };
+
+      // Calculate the number of documents to skip based on the current page.
+      // For example, on page 2 with a limit of 10, you would skip the first 10 results.
+      this.query = this.query.skip((page - 1) * limit).limit(limit);
+
+      return this;
+    }
 
-    // Calculate the number of documents to skip based on the current page.
-    // For example, on page 2 with a limit of 10, you would skip the first 10 results.
-    const skip = (page - 1) * limit;
+    checkCursorSortFields(sortFields, schema, this.filterFields);
 
-    // Chain the `skip()` and `limit()` methods to the query to implement pagination.
-    this.query = this.query.skip(skip).limit(limit);
+    const cursor = this.queryString.cursor
+      ? decodeCursor(this.queryString.cursor, sortFields, schema)
+      : null;
+    this.pagination = { mode: 'cursor', limit, cursor, sortFields };
+
+    if (cursor) {
+      this.query = this.query.and([buildCursorCondition(sortFields, cursor)]);
+
+      // The previous page is read backwards from the cursor, and reversed again in `getResults`
+      if (cursor.direction === 'prev') {
+        this.query = this.query.sort(
+          Object.fromEntries(sortFields.map(([field, order]) => [field, -order]))
+        );
+      }
+    }
+
+    // The sort fields are needed for the cursors, so they can't be left out by `fields`
+    // (mongoose keeps the `-` of excluded fields in the keys, e.g. `{ '-createdAt': 0 }`)
+    const projection = { ...(this.query.projection() || {}) };
+    const isInclusive = Object.values(projection).some((value) => value === 1);
+    sortFields.forEach(([field]) => {
+      if (isInclusive) {
+        projection[field] = 1;
+      } else {
+        delete projection[field];
+        delete projection[`-${field}`];
+      }
+    });
+    this.query.projection(projection);
+
+    // One more document than needed tells whether there is another page
+    this.query = this.query.limit(limit + 1);
 
     // Return `this` to enable method chaining in the `APIFeatures` class.
     return this;
   }
+
+  /**
+   * Runs the query and the count, and describes the page for the response.
+   *
+   * @param {String} url - The url of the request (`req.originalUrl`), for the links to other pages.
+   * @returns {Promise<Object>} - `{ docs, pagination }`, where `pagination` contains the `total`
+   *                              number of documents, the `links` to other pages and either
+   *                              `page` and `pages` or the `cursors`.
+   * @throws {AppError} - 404 if the page is after the last page.
+   */
+  async getResults(url) {
+    const [docs, total] = await Promise.all([this.query, this.countQuery]);
+    const { mode, limit } = this.pagination;
+
+    if (mode === 'page') {
+      const { page } = this.pagination;
+      const pages = Math.ceil(total / limit);
+
+      // The first page exists even if there are no documents, it is just empty
+      if (page > Math.max(pages, 1)) {
+        throw new AppError(`Page ${page} does not exist, the last page is ${pages}`, 404);
+      }
+
+      const pageUrl = (number) => buildPageUrl(url, { page: number });
+
+      return {
+        docs,
+        pagination: {
+          total,
+          page,
+          pages,
+          limit,
+          links: {
+            self: pageUrl(page),
+            first: pageUrl(1),
+            prev: page > 1 ? pageUrl(page - 1) : null,
+            next: page < pages ? pageUrl(page + 1) : null,
+            last: pageUrl(Math.max(pages, 1)),
+          },
+        },
+      };
+    }
+
+    const { cursor, sortFields } = this.pagination;
+    const direction = cursor ? cursor.direction : 'next';
+    const hasMore = docs.length > limit;
+
+    // Put the documents of a previous page back into the sort order
+    const pageDocs = docs.slice(0, limit);
+    if (direction === 'prev') pageDocs.reverse();
+
+    // A cursor always pointed at documents, but they may have been deleted since
+    if (cursor && pageDocs.length === 0) {
+      throw new AppError('This page does not exist anymore', 404);
+    }
+
+    const hasNext = direction === 'next' ? hasMore : pageDocs.length > 0;
+    const hasPrev = direction === 'prev' ? hasMore : Boolean(cursor);
+
+    const cursors = {
+      next: hasNext
+        ? encodeCursor(pageDocs[pageDocs.length - 1], sortFields, 'next')
+        : null,
+      prev: hasPrev ? encodeCursor(pageDocs[0], sortFields, 'prev') : null,
+    };
+    const cursorUrl = (value) =>
+      buildPageUrl(url, { pagination: 'cursor', cursor: value, page: undefined });
+
+    return {
+      docs: pageDocs,
+      pagination: {
+        total,
+        limit,
+        cursors,
+        links: {
+          self: url,
+          first: cursorUrl(undefined),
+          prev: cursors.prev && cursorUrl(cursors.prev),
+          next: cursors.next && cursorUrl(cursors.next),
+        },
+      },
+    };
+  }
 }
 
 // Exporting the APIFeatures class
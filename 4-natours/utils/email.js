@@ -1,8 +1,9 @@
 const nodemailer = require('nodemailer');
+const config = require('../config');
 
 /**
  * Sends an email using a configured SMTP transporter.
- * This function sets up the transporter (using environment variables for security),
+ * This function sets up the transporter (using the EMAIL_* variables of the config for security),
  * defines email options, and sends the email using `nodemailer`.
  * Primarily used for sending transactional emails such as password reset links.
  * MailTrap or a similar service can be used for testing email appearance before production.
@@ -17,12 +18,12 @@ const sendEmail = async (options) => {
   // We configure the transporter to use SMTP settings provided by MailTrap (or another email service in production).
   // MailTrap is commonly used for testing emails as it captures them in a virtual inbox without actually sending.
   const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST, // SMTP host from environment variables, for security and configurability
-    port: process.env.EMAIL_PORT, // SMTP port from environment variables (e.g., MailTrap's port, usually 2525)
+    host: config.email.host, // SMTP host from the config, for security and configurability
+    port: config.email.port, // SMTP port from the config (e.g., MailTrap's port, usually 2525)
     auth: {
       // Authentication credentials for SMTP service
-      user: process.env.EMAIL_USERNAME, // Email username from environment variables
-      pass: process.env.EMAIL_PASSWORD, // Email password from environment variables
+      user: config.email.username, // Email username from the config
+      pass: config.email.password, // Email password from the config
     },
   });
 
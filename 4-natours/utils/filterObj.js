@@ -0,0 +1,20 @@
+/**
+ * Filters an object to include only specified fields.
+ *
+ * @param {Object} obj - The original object to filter.
+ * @param {...string} allowedFields - A list of allowed field names.
+ * @returns {Object} - A new object containing only the allowed fields from the original object.
+ *
+ * @example
+ * // Example usage:
+ * const obj = { name: 'Alice', email: 'alice@example.com', password: '12345' };
+ * const filteredObj = filterObj(obj, 'name', 'email');
+ * // filteredObj = { name: 'Alice', email: 'alice@example.com' }
+ */
+const filterObj = (obj, ...allowedFields) => {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([key]) => allowedFields.includes(key))
+  );
+};
+
+module.exports = filterObj;
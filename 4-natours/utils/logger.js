@@ -0,0 +1,163 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+const config = require('../config');
+
+/**
+ * logger.js is the logger of the application, use it instead of `console.log`.
+ *
+ * ```
+ * const logger = require('./utils/logger');
+ * logger.info('Booking created', { bookingId: booking.id });
+ * logger.error('Error sending the email', { err });
+ * ```
+ *
+ * - Levels: `error`, `warn`, `info`, `debug`. Messages below `LOG_LEVEL` are dropped
+ *   (default `info` in production, `warn` in the tests and `debug` otherwise).
+ * - In production every log line is a JSON object (easy to search in a log service),
+ *   otherwise it is a readable line for the terminal.
+ * - Every line logged while handling a request carries the id of the request (`requestId`),
+ *   see `runWithRequestContext`. The same id is sent in the `X-Request-Id` response header.
+ * - Sensitive fields like passwords, tokens and the authorization header are redacted.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Keys whose values are never logged, e.g. `password`, `passwordConfirm`, `refreshToken`,
+// `authorization`, `cookie`, `x-api-key`, `twoFactorSecret`, `keyHash` (but not `secretTour`)
+const SENSITIVE_KEY =
+  /password|token|secret$|authorization|cookie|api-?key|keyhash|recoverycode/i;
+const REDACTED = '[REDACTED]';
+
+// Query parameters of the OpenID Connect callback that must not be logged either
+const SENSITIVE_QUERY_PARAMS = ['code', 'state'];
+
+// Url path segments that contain tokens e.g. /api/v1/users/reset-password/<token>
+const SENSITIVE_PATH = /\/(reset-password|verify-email|unlock-account)\/[^/?]+/g;
+
+// Nested objects are only logged up to this depth
+const MAX_DEPTH = 5;
+
+// Holds the context (the request id) of the request that is currently being handled
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Returns the minimum level that is logged.
+ *
+ * @returns {number}
+ */
+const getMinLevel = () => {
+  return LEVELS[config.logLevel];
+};
+
+/**
+ * Removes the tokens from a url, so it can be logged.
+ *
+ * @param {String} url - e.g. `req.originalUrl`.
+ * @returns {String}
+ */
+const redactUrl = (url) => {
+  const [path, query] = String(url).split('?');
+  const redactedPath = path.replace(SENSITIVE_PATH, `/$1/${REDACTED}`);
+
+  if (!query) return redactedPath;
+
+  const params = new URLSearchParams(query);
+  params.forEach((value, key) => {
+    if (SENSITIVE_KEY.test(key) || SENSITIVE_QUERY_PARAMS.includes(key)) {
+      params.set(key, REDACTED);
+    }
+  });
+
+  return `${redactedPath}?${params.toString()}`;
+};
+
+/**
+ * Returns a copy of a value that can be logged: sensitive keys are redacted and errors are
+ * converted to plain objects (their properties are not enumerable).
+ *
+ * @param {*} value
+ * @param {number} [depth]
+ * @returns {*}
+ */
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return redact(
+      { name: value.name, message: value.message, stack: value.stack, ...value },
+      depth
+    );
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  // Mongoose documents and ObjectIds know best how to turn themselves into plain values
+  if (typeof value.toJSON === 'function') return redact(value.toJSON(), depth);
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1),
+    ])
+  );
+};
+
+/**
+ * Writes a log line if the level is enabled.
+ *
+ * @param {String} level - One of `LEVELS`.
+ * @param {String} message
+ * @param {Object} [fields] - Additional data e.g. `{ userId, err }`.
+ */
+const log = (level, message, fields = {}) => {
+  if (LEVELS[level] > getMinLevel()) return;
+
+  const { requestId } = requestContext.getStore() || {};
+  const time = new Date().toISOString();
+  const data = redact(fields);
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+
+  if (config.isProduction) {
+    stream.write(`${JSON.stringify({ time, level, message, requestId, ...data })}\n`);
+    return;
+  }
+
+  // Readable format for the terminal, the stack of an error is printed on its own lines
+  // The request id can also be passed in the fields, e.g. when the context is not available
+  const { err, requestId: fieldsRequestId, ...rest } = data;
+  const id = fieldsRequestId || requestId;
+  const request = id ? ` [${id}]` : '';
+  const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  const stack = err ? `\n${err.stack || JSON.stringify(err)}` : '';
+
+  stream.write(`${time} ${level.toUpperCase()}${request} ${message}${details}${stack}\n`);
+};
+
+/**
+ * Runs `fn` with the given request context, so all lines logged inside it (also in async code
+ * that is started by it) carry the request id.
+ *
+ * @param {Object} context - `{ requestId, route }`
+ * @param {Function} fn
+ * @returns {*} - The return value of `fn`.
+ */
+const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * Returns the context of the request that is currently being handled.
+ *
+ * @returns {Object} - `{ requestId, route }`, empty outside of a request.
+ */
+const getRequestContext = () => requestContext.getStore() || {};
+
+module.exports = {
+  error: (message, fields) => log('error', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  debug: (message, fields) => log('debug', message, fields),
+  redact,
+  redactUrl,
+  runWithRequestContext,
+  getRequestContext,
+};
@@ -0,0 +1,211 @@
+const crypto = require('node:crypto');
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const config = require('../config');
+const AppError = require('./appError');
+const handleAsyncErrors = require('./handleAsyncErrors');
+
+/**
+ * metrics.js collects the metrics of the application in the Prometheus format, using prom-client.
+ *
+ * - `http_requests_total` and `http_request_duration_seconds` - Requests by method, route template
+ *   (e.g. `/api/v1/tours/:id`, so the ids don't create a new series for every tour) and status.
+ * - `rate_limit_rejections_total` - Requests rejected by the rate limiters in app.js.
+ * - `app_errors_total` - Errors handled by the errorController, operational (`AppError`) or not.
+ * - `db_operation_duration_seconds` - Database operations, measured by the `queryTiming` plugin.
+ * - `mongoose_connection_state` - The state of the database connection.
+ * - The default metrics of node (memory, CPU, event loop lag...).
+ *
+ * Prometheus scrapes them from /metrics. That endpoint must not be public:
+ * - Either set `METRICS_PORT`, then it is only served on a separate server that listens on
+ *   `METRICS_HOST` (default 127.0.0.1), see server.js,
+ * - or set `METRICS_TOKEN`, then it is served by the app and Prometheus has to send the token
+ *   as `Authorization: Bearer <token>`.
+ * Without either of them, /metrics doesn't exist.
+ */
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Latency buckets in seconds, from 5ms to 10s
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Number of HTTP requests',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duration of HTTP requests in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+const rateLimitRejectionsTotal = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Number of requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [registry],
+});
+
+const appErrorsTotal = new client.Counter({
+  name: 'app_errors_total',
+  help: 'Number of errors handled by the global error handler',
+  labelNames: ['type', 'status'],
+  registers: [registry],
+});
+
+const dbOperationDuration = new client.Histogram({
+  name: 'db_operation_duration_seconds',
+  help: 'Duration of database operations in seconds',
+  labelNames: ['model', 'operation'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+// The value is read from mongoose every time the metrics are scraped
+const mongooseConnectionState = new client.Gauge({
+  name: 'mongoose_connection_state',
+  help:
+    'State of the database connection ' +
+    '(0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  registers: [registry],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  },
+});
+
+// Url path segments that are ids, used for the parts of the route template that come from
+// the mount path of a nested router e.g. `/api/v1/tours/<tourId>/reviews`
+const ID_SEGMENT = /^[a-f\d]{24}$/i;
+
+/**
+ * Returns the route template of a request e.g. `/api/v1/tours/:id` for `/api/v1/tours/5c88...`.
+ *
+ * `req.route` only contains the path within the router. The part before it is taken from the
+ * url, with the url parameters and ids replaced by placeholders.
+ *
+ * @param {Object} req - The express request, after the response has been sent.
+ * @returns {String} - The route template, or `unmatched` if no route handled the request.
+ */
+const getRouteTemplate = (req) => {
+  if (!req.route || req.route.path === '*') return 'unmatched';
+
+  const routeSegments = String(req.route.path).split('/').filter(Boolean);
+  const urlSegments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const paramNames = Object.fromEntries(
+    Object.entries(req.params || {}).map(([name, value]) => [value, name])
+  );
+
+  const baseSegments = urlSegments
+    .slice(0, urlSegments.length - routeSegments.length)
+    .map((segment) => {
+      if (paramNames[segment]) return `:${paramNames[segment]}`;
+      return ID_SEGMENT.test(segment) ? ':id' : segment;
+    });
+
+  return `/${[...baseSegments, ...routeSegments].join('/')}`;
+};
+
+/**
+ * Records a finished HTTP request.
+ *
+ * @param {Object} req - The express request.
+ * @param {Object} res - The express response.
+ * @param {number} durationSeconds
+ */
+const recordHttpRequest = (req, res, durationSeconds) => {
+  const labels = {
+    method: req.method,
+    route: getRouteTemplate(req),
+    status: res.statusCode,
+  };
+
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+/**
+ * Creates the `handler` option of a rate limiter, which counts the rejected requests before
+ * sending the usual response of express-rate-limit.
+ *
+ * @param {String} limiter - The name of the limiter e.g. `ip`.
+ * @returns {Function}
+ */
+const countRateLimitRejections = (limiter) => (req, res, next, options) => {
+  rateLimitRejectionsTotal.inc({ limiter });
+  res.status(options.statusCode).send(options.message);
+};
+
+/**
+ * Records an error that was handled by the global error handler.
+ *
+ * @param {number} statusCode - The status code of the response.
+ * @param {Boolean} isOperational - Whether it is an expected error (`AppError`) or a bug.
+ */
+const recordError = (statusCode, isOperational) => {
+  appErrorsTotal.inc({
+    type: isOperational ? 'operational' : 'non_operational',
+    status: statusCode,
+  });
+};
+
+/**
+ * Records a database operation, called by the `queryTiming` plugin.
+ *
+ * @param {String} model - e.g. `Tour`.
+ * @param {String} operation - e.g. `find`.
+ * @param {number} durationSeconds
+ */
+const recordDbOperation = (model, operation, durationSeconds) => {
+  dbOperationDuration.observe({ model, operation }, durationSeconds);
+};
+
+/**
+ * Middleware that only lets requests with the `METRICS_TOKEN` through.
+ * If no token is configured, /metrics is not served at all.
+ */
+const requireMetricsToken = (req, res, next) => {
+  const { token } = config.metrics;
+
+  if (!token) {
+    return next(new AppError(`Cannot find ${req.originalUrl} on this server`, 404));
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return next(new AppError('Invalid metrics token', 401));
+  }
+
+  next();
+};
+
+/**
+ * Route handler that sends all metrics in the Prometheus text format.
+ */
+const sendMetrics = handleAsyncErrors(async (req, res, next) => {
+  const metrics = await registry.metrics();
+
+  res.set('Content-Type', registry.contentType);
+  res.end(metrics);
+});
+
+module.exports = {
+  registry,
+  getRouteTemplate,
+  recordHttpRequest,
+  countRateLimitRejections,
+  recordError,
+  recordDbOperation,
+  requireMetricsToken,
+  sendMetrics,
+};
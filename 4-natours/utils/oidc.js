@@ -0,0 +1,247 @@
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * OpenID Connect (OIDC) client for the social login ("Log in with Google" etc.).
+ *
+ * The authorization code flow with PKCE is used:
+ * 1) The user is redirected to the provider with a `code_challenge`, a random `state` and `nonce`.
+ * 2) The provider redirects back to our callback with a `code`.
+ * 3) The code is exchanged for tokens at the provider, together with the `code_verifier`. Only
+ *    whoever started the login knows the verifier, so a stolen code is useless.
+ * 4) The signature and claims of the ID token are verified with the provider's public keys.
+ *
+ * ### Configuration (config.env, validated by config.js)
+ *
+ * The providers are listed in `OIDC_PROVIDERS`, e.g. `OIDC_PROVIDERS=google,mock`.
+ * Each provider is configured with variables starting with its name in upper case:
+ *   - `OIDC_GOOGLE_ISSUER` - e.g. `https://accounts.google.com`, the endpoints are discovered
+ *     from `<issuer>/.well-known/openid-configuration`.
+ *   - `OIDC_GOOGLE_CLIENT_ID` and `OIDC_GOOGLE_CLIENT_SECRET` - From the provider's console.
+ *   - `OIDC_GOOGLE_REDIRECT_URI` (optional) - Defaults to
+ *     `<protocol>://<host>/api/v1/users/oauth/google/callback` of the request.
+ *   - `OIDC_GOOGLE_SCOPES` (optional) - Defaults to `openid email profile`.
+ *
+ * For development, `dev-data/oidc/mock-issuer.js` starts a local issuer to log in against.
+ */
+
+// The discovery documents and keys of the issuers are cached for an hour
+const CACHE_MS = 60 * 60 * 1000;
+
+// A provider that doesn't answer must not keep the login request (and the user) waiting
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Encodes a buffer as base64url (RFC 4648), which is used by PKCE and JWTs.
+ *
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+const base64url = (buffer) =>
+  buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Returns the configuration of a provider, which is read and validated by config.js.
+ *
+ * @param {String} name - The name of the provider e.g. `google`.
+ * @returns {Object|null} - `{ name, issuer, clientId, clientSecret, redirectUri, scopes }`, or
+ *                          null if the provider is not configured.
+ */
+const getProvider = (name) =>
+  Object.hasOwn(config.oidcProviders, name) ? config.oidcProviders[name] : null;
+
+/**
+ * Returns the names of all configured providers.
+ *
+ * @returns {String[]}
+ */
+const getProviderNames = () => Object.keys(config.oidcProviders);
+
+/**
+ * Fetches a JSON document and throws if the request fails or takes longer than
+ * `REQUEST_TIMEOUT_MS`.
+ *
+ * @param {String} url
+ * @param {Object} [options] - Options for `fetch`.
+ * @returns {Promise<Object>}
+ */
+const fetchJSON = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? 'no answer in time' : err.message;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+/**
+ * Fetches (and caches) the discovery document of the provider's issuer.
+ *
+ * @param {Object} provider - From `getProvider`.
+ * @returns {Promise<Object>} - With `authorization_endpoint`, `token_endpoint`, `jwks_uri`...
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.fetchedAt > Date.now() - CACHE_MS) return cached.document;
+
+  const document = await fetchJSON(`${provider.issuer}/.well-known/openid-configuration`);
+
+  // The discovery document must belong to the configured issuer (OIDC Discovery 4.3)
+  if (document.issuer.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`OIDC issuer mismatch for ${provider.name}: ${document.issuer}`);
+  }
+
+  discoveryCache.set(provider.issuer, { document, fetchedAt: Date.now() });
+  return document;
+};
+
+/**
+ * Creates the random values that protect one login attempt.
+ *
+ * @returns {Object} - `{ state, nonce, codeVerifier, codeChallenge }`
+ */
+const createAuthRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+  };
+};
+
+/**
+ * Builds the URL of the provider's login page.
+ *
+ * @param {Object} provider - From `getProvider`.
+ * @param {Object} authRequest - From `createAuthRequest`.
+ * @param {String} redirectUri - Our callback URL.
+ * @returns {Promise<String>}
+ */
+const buildAuthorizationUrl = async (provider, authRequest, redirectUri) => {
+  const { authorization_endpoint: endpoint } = await discover(provider);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state: authRequest.state,
+    nonce: authRequest.nonce,
+    code_challenge: authRequest.codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return `${endpoint}?${params.toString()}`;
+};
+
+/**
+ * Exchanges the authorization code for the tokens of the user.
+ *
+ * @param {Object} provider - From `getProvider`.
+ * @param {String} code - The `code` the provider sent to the callback.
+ * @param {String} codeVerifier - From `createAuthRequest`.
+ * @param {String} redirectUri - The same callback URL that was used for the authorization URL.
+ * @returns {Promise<Object>} - The token response, with the `id_token`.
+ */
+const exchangeCode = async (provider, code, codeVerifier, redirectUri) => {
+  const { token_endpoint: endpoint } = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) params.set('client_secret', provider.clientSecret);
+
+  return fetchJSON(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    },
+    body: params.toString(),
+  });
+};
+
+/**
+ * Returns the public key with the given key id from the provider's JWKS.
+ * The keys are fetched again if the key id is unknown, because providers rotate their keys.
+ *
+ * @param {Object} provider - From `getProvider`.
+ * @param {String} kid - The key id from the header of the ID token.
+ * @returns {Promise<KeyObject>}
+ */
+const getSigningKey = async (provider, kid) => {
+  const findKey = (keys) => keys.find((key) => key.kid === kid && key.use !== 'enc');
+
+  let cached = jwksCache.get(provider.issuer);
+  let jwk = cached && cached.fetchedAt > Date.now() - CACHE_MS && findKey(cached.keys);
+
+  if (!jwk) {
+    const { jwks_uri: jwksUri } = await discover(provider);
+    const { keys } = await fetchJSON(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.issuer, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) throw new Error(`No signing key ${kid} found for ${provider.name}`);
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verifies the ID token: the signature with the provider's key, the issuer, the audience
+ * (our client id), the expiry and the nonce of this login attempt.
+ *
+ * @param {Object} provider - From `getProvider`.
+ * @param {String} idToken - The `id_token` from the token response.
+ * @param {String} nonce - From `createAuthRequest`.
+ * @returns {Promise<Object>} - The claims of the token e.g. `sub`, `email`, `email_verified`.
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error('The ID token is not a valid JWT');
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  // Only asymmetric algorithms, so a token signed with the client secret isn't accepted
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+    issuer: [provider.issuer, `${provider.issuer}/`],
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) throw new Error('The nonce of the ID token does not match');
+
+  return claims;
+};
+
+module.exports = {
+  getProvider,
+  getProviderNames,
+  createAuthRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
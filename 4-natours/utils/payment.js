@@ -0,0 +1,72 @@
+const crypto = require('node:crypto');
+const config = require('../config');
+
+/**
+ * Payment provider adapters.
+ *
+ * Every adapter exposes the same two async methods so that the booking controller doesn't
+ * need to know which provider is actually used:
+ *   - `charge({ amount, currency, token, description })` -> `{ id, status, amount, currency }`
+ *   - `refund(paymentId)` -> `{ id, paymentId, status }`
+ *
+ * Both methods throw an error if the provider rejects the request.
+ *
+ * The provider is selected with the `PAYMENT_PROVIDER` variable (see config.js). For now only the
+ * `fake` provider exists, which never leaves the machine, so bookings can be tested offline.
+ * config.js refuses to start in production with the fake provider. A new adapter has to be
+ * added to `providers` and to `PAYMENT_PROVIDERS` in config.js.
+ */
+
+/**
+ * Fake payment provider
+ * - Every charge succeeds, except when the token `tok_fail` is used, which simulates a declined card.
+ * - Every refund succeeds.
+ */
+const fakeProvider = {
+  name: 'fake',
+
+  charge: async ({ amount, currency = 'usd', token, description }) => {
+    if (token === 'tok_fail') {
+      throw new Error('Your card was declined');
+    }
+
+    return {
+      id: `fake_ch_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'succeeded',
+      amount,
+      currency,
+      description,
+    };
+  },
+
+  refund: async (paymentId) => {
+    return {
+      id: `fake_re_${crypto.randomBytes(12).toString('hex')}`,
+      paymentId,
+      status: 'succeeded',
+    };
+  },
+};
+
+const providers = {
+  fake: fakeProvider,
+};
+
+/**
+ * Returns the payment provider configured with the `PAYMENT_PROVIDER` variable.
+ * Defaults to the fake provider outside of production.
+ *
+ * @returns {Object} - The payment provider adapter.
+ */
+const getPaymentProvider = () => {
+  const providerName = config.paymentProvider;
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+module.exports = getPaymentProvider;
@@ -0,0 +1,99 @@
+const Tour = require('./../models/tour.model.js');
+
+/**
+ * permissions.js is the single place where it is decided which role may do what.
+ *
+ * Every protected action has a name like `tour:update`, which is mapped to:
+ *   - `roles` - Roles that may always perform the action.
+ *   - `ownerRoles` - Roles that may only perform the action on resources they own.
+ *   - `isOwner` - Async function `(req) => Boolean` that decides whether the logged in user
+ *     owns the resource of the request. Required when `ownerRoles` is set.
+ *
+ * Routes check an action with the `can('tour:update')` middleware from the authController,
+ * so to change who can do something, only this map has to be changed.
+ *
+ * Routes that every logged in user may use for their own data (e.g. /users/updateMe or
+ * /users/me/sessions) only need `protectedRoute` and are not listed here.
+ *
+ * The action names are also the scopes of API keys (see `models/apiKey.model.js`). API keys can
+ * only be used on routes that check an action with `can()`, all other protected routes reject
+ * them (`rejectApiKeys`). That is why actions every user may perform (like booking a tour) are
+ * listed here as well: a key needs the scope for them.
+ */
+
+// All roles, for the actions every logged in user may perform
+const ALL_ROLES = ['user', 'guide', 'lead-guide', 'admin'];
+
+/**
+ * Ownership check for tours: a guide owns the tours they are one of the guides of.
+ *
+ * @param {Object} req - The express request, with the tour id in `req.params.id`.
+ * @returns {Promise<Boolean>}
+ */
+const guidesTour = async (req) =>
+  Boolean(await Tour.exists({ _id: req.params.id, guides: req.user._id }));
+
+const PERMISSIONS = {
+  // Tours
+  // Lead guides can only edit and delete the tours they guide
+  'tour:create': { roles: ['admin', 'lead-guide'] },
+  'tour:update': { roles: ['admin'], ownerRoles: ['lead-guide'], isOwner: guidesTour },
+  'tour:delete': { roles: ['admin'], ownerRoles: ['lead-guide'], isOwner: guidesTour },
+
+  // Reviews
+  // Users can only edit and delete their own reviews, which is checked by the reviewController
+  // because it loads the review anyway
+  'review:create': { roles: ['user'] },
+  'review:update': { roles: ['user', 'admin'] },
+  'review:delete': { roles: ['user', 'admin'] },
+
+  // Bookings
+  // Every logged in user can book a tour, and see or cancel their own bookings (the
+  // bookingController checks that the booking belongs to the user, unless they are an admin)
+  'booking:create': { roles: ALL_ROLES },
+  'booking:read': { roles: ALL_ROLES },
+  'booking:cancel': { roles: ALL_ROLES },
+  'booking:read-all': { roles: ['admin', 'lead-guide'] },
+  'booking:delete': { roles: ['admin'] },
+
+  // Reports with the revenue and occupancy of the tours
+  'report:read': { roles: ['admin', 'lead-guide'] },
+
+  // User management
+  'user:read': { roles: ['admin'] },
+  'user:create': { roles: ['admin'] },
+  'user:update': { roles: ['admin'] },
+  'user:update-role': { roles: ['admin'] },
+  'user:delete': { roles: ['admin'] },
+
+  // API keys for partner integrations
+  'api-key:read': { roles: ['admin'] },
+  'api-key:create': { roles: ['admin'] },
+  'api-key:update': { roles: ['admin'] },
+  'api-key:delete': { roles: ['admin'] },
+
+  // Metrics of the application e.g. the duration of the database queries
+  'metrics:read': { roles: ['admin'] },
+  'metrics:reset': { roles: ['admin'] },
+};
+
+/**
+ * Checks whether a role may perform an action, and whether only on its own resources.
+ *
+ * @param {String} role - The role of the user e.g. `lead-guide`.
+ * @param {String} action - The action e.g. `tour:update`.
+ * @returns {String|false} - `'any'` if the role may perform the action on every resource,
+ *                           `'own'` if only on its own resources, `false` otherwise.
+ */
+const getAccess = (role, action) => {
+  const permission = PERMISSIONS[action];
+
+  if (permission.roles.includes(role)) return 'any';
+  if (permission.ownerRoles && permission.ownerRoles.includes(role)) return 'own';
+  return false;
+};
+
+module.exports = {
+  PERMISSIONS,
+  getAccess,
+};
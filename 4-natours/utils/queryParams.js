@@ -0,0 +1,156 @@
+const AppError = require('./appError');
+
+/**
+ * queryParams.js validates and converts the query parameters of the reports (tour statistics,
+ * monthly plan, revenue report), which are passed to aggregations.
+ *
+ * Every report describes its parameters, e.g.
+ *
+ * ```
+ * const params = parseQueryParams(req.query, {
+ *   groupBy: { type: 'enum', values: ['difficulty', 'duration'], default: 'difficulty' },
+ *   minRating: { type: 'number', min: 1, max: 5, default: 4.5 },
+ *   metrics: { type: 'list', values: ['avgPrice', 'minPrice'], default: ['avgPrice'] },
+ *   sort: { type: 'sort', values: ['avgPrice', 'minPrice'], default: '-avgPrice' },
+ * });
+ * ```
+ *
+ * Unknown parameters and invalid values are rejected with a single 400 error that lists all
+ * problems and the allowed values.
+ */
+
+/**
+ * Converters from the query string to the typed value.
+ * They throw an error with the reason if the value is invalid.
+ */
+const PARSERS = {
+  number: (value, { min, max }) => {
+    const number = Number(value);
+
+    // `Number('  ')` would be 0
+    if (value.trim() === '' || !Number.isFinite(number)) {
+      throw new Error('must be a number');
+    }
+    if (min !== undefined && number < min) throw new Error(`must be at least ${min}`);
+    if (max !== undefined && number > max) throw new Error(`must be at most ${max}`);
+
+    return number;
+  },
+
+  integer: (value, spec) => {
+    const number = PARSERS.number(value, spec);
+
+    if (!Number.isInteger(number)) throw new Error('must be a whole number');
+
+    return number;
+  },
+
+  boolean: (value) => {
+    if (value !== 'true' && value !== 'false') throw new Error('must be true or false');
+
+    return value === 'true';
+  },
+
+  // ISO dates e.g. `2021-06-01` or `2021-06-01T09:00:00Z`
+  date: (value) => {
+    const date = new Date(value);
+
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(date.getTime())) {
+      throw new Error('must be a date like 2021-06-01');
+    }
+
+    return date;
+  },
+
+  enum: (value, { values }) => {
+    if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')}`);
+
+    return value;
+  },
+
+  // Comma separated values, e.g. `avgPrice,minPrice`
+  list: (value, { values }) => {
+    const items = value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+    const invalidItems = items.filter((item) => !values.includes(item));
+    if (items.length === 0 || invalidItems.length > 0) {
+      throw new Error(`must be a list of ${values.join(', ')}`);
+    }
+
+    return [...new Set(items)];
+  },
+
+  // A field with an optional `-` for descending order, e.g. `-avgPrice`
+  sort: (value, { values }) => {
+    const field = value.replace(/^-/, '');
+
+    if (!values.includes(field)) {
+      throw new Error(
+        `must be one of ${values.join(', ')} (with a - for descending order)`
+      );
+    }
+
+    return { field, order: value.startsWith('-') ? -1 : 1 };
+  },
+};
+
+/**
+ * Validates and converts the query parameters of a report.
+ *
+ * @param {Object} query - The query parameters (`req.query`).
+ * @param {Object} spec - The parameters of the report by their name:
+ *   - `type` - One of the keys of `PARSERS`.
+ *   - `default` - Used if the parameter is not given (as a raw string for `sort`).
+ *   - `min`, `max` (numbers) and `values` (enums, lists and sort fields) restrict the values.
+ * @returns {Object} - The typed values, by the name of the parameter.
+ * @throws {AppError} - 400 listing all unknown parameters and invalid values.
+ */
+const parseQueryParams = (query, spec) => {
+  const problems = [];
+
+  Object.keys(query).forEach((name) => {
+    if (!spec[name]) {
+      problems.push(
+        `Unknown parameter "${name}", allowed are: ${Object.keys(spec).join(', ')}`
+      );
+    }
+  });
+
+  const params = Object.fromEntries(
+    Object.entries(spec).map(([name, paramSpec]) => {
+      const value = query[name];
+
+      if (value === undefined || value === '') {
+        return [
+          name,
+          paramSpec.type === 'sort' && paramSpec.default
+            ? PARSERS.sort(paramSpec.default, paramSpec)
+            : paramSpec.default,
+        ];
+      }
+
+      if (typeof value !== 'string') {
+        problems.push(`${name} can only be given once`);
+        return [name, undefined];
+      }
+
+      try {
+        return [name, PARSERS[paramSpec.type](value, paramSpec)];
+      } catch (err) {
+        problems.push(`${name} ${err.message}`);
+        return [name, undefined];
+      }
+    })
+  );
+
+  if (problems.length > 0) {
+    throw new AppError(`Invalid parameters: ${problems.join('; ')}`, 400);
+  }
+
+  return params;
+};
+
+module.exports = parseQueryParams;
@@ -0,0 +1,176 @@
+const config = require('../config');
+const logger = require('./logger');
+const { recordDbOperation } = require('./metrics');
+
+/**
+ * queryTiming.js is a mongoose plugin that measures how long the database operations take.
+ *
+ * It is registered for all models in app.js with `mongoose.plugin(queryTiming)` and measures
+ * queries (find, update, delete, count...), aggregations and saves:
+ * - The numbers of every model and operation are added up in memory, see `getQueryStats`.
+ *   Admins can see them on GET /api/v1/metrics/queries.
+ * - Every operation is also recorded in the Prometheus metrics (see `utils/metrics.js`).
+ * - Operations that take longer than `SLOW_QUERY_MS` milliseconds (see config.js) are logged as
+ *   warnings together with their filter and the route of the request, and the most recent ones
+ *   are kept for the metrics endpoint.
+ */
+
+// The query operations that are measured (aggregate and save are measured separately)
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'countDocuments',
+  'estimatedDocumentCount',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+];
+
+// Number of slow operations that are kept for the metrics endpoint
+const MAX_SLOW_QUERIES = 50;
+
+// The start time is stored on the query, aggregate or document under this key
+const START = Symbol('queryTimingStart');
+
+// Aggregated numbers per `<model>.<operation>` and the most recent slow operations
+let stats = new Map();
+let slowQueries = [];
+let since = new Date();
+
+/**
+ * Returns the threshold above which an operation counts as slow.
+ *
+ * @returns {number} - Milliseconds.
+ */
+const getSlowQueryThreshold = () => config.slowQueryMs;
+
+/**
+ * Adds a finished operation to the stats and reports it if it was slow.
+ *
+ * @param {String} model - The name of the model e.g. `Tour`.
+ * @param {String} operation - e.g. `find`, `aggregate` or `save`.
+ * @param {bigint} start - From `process.hrtime.bigint()` when the operation started.
+ * @param {Object|Array} [filter] - The filter of the query or the pipeline of the aggregation.
+ */
+const record = (model, operation, start, filter) => {
+  if (start === undefined) return;
+
+  const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+  const key = `${model}.${operation}`;
+
+  const entry = stats.get(key) || {
+    model,
+    operation,
+    count: 0,
+    totalMs: 0,
+    maxMs: 0,
+    slowCount: 0,
+  };
+  entry.count += 1;
+  entry.totalMs += durationMs;
+  entry.maxMs = Math.max(entry.maxMs, durationMs);
+
+  recordDbOperation(model, operation, durationMs / 1000);
+
+  const threshold = getSlowQueryThreshold();
+  if (durationMs > threshold) {
+    entry.slowCount += 1;
+
+    const { requestId, route } = logger.getRequestContext();
+    const slowQuery = {
+      time: new Date(),
+      model,
+      operation,
+      durationMs,
+      filter: logger.redact(filter),
+      route,
+      requestId,
+    };
+
+    slowQueries.unshift(slowQuery);
+    slowQueries = slowQueries.slice(0, MAX_SLOW_QUERIES);
+
+    logger.warn(`Slow query: ${key} took ${Math.round(durationMs)}ms`, {
+      ...slowQuery,
+      thresholdMs: threshold,
+    });
+  }
+
+  stats.set(key, entry);
+};
+
+/**
+ * The mongoose plugin. It adds pre and post hooks that measure every operation of the schema.
+ *
+ * @param {Schema} schema - The schema of a model.
+ */
+const queryTiming = (schema) => {
+  // QUERY MIDDLEWARE: `this` is the query
+  schema.pre(QUERY_OPERATIONS, function () {
+    this[START] = process.hrtime.bigint();
+  });
+
+  schema.post(QUERY_OPERATIONS, function () {
+    record(this.model.modelName, this.op, this[START], this.getFilter());
+  });
+
+  // AGGREGATION MIDDLEWARE: `this` is the aggregation object
+  schema.pre('aggregate', function () {
+    this[START] = process.hrtime.bigint();
+  });
+
+  schema.post('aggregate', function () {
+    record(this.model().modelName, 'aggregate', this[START], this.pipeline());
+  });
+
+  // DOCUMENT MIDDLEWARE: `this` is the document that is saved
+  // Subdocuments (e.g. the role history of a user) are saved together with their parent
+  schema.pre('save', function () {
+    if (this.$isSubdocument) return;
+    this.$locals[START] = process.hrtime.bigint();
+  });
+
+  schema.post('save', function () {
+    record(this.constructor.modelName, 'save', this.$locals[START], { _id: this._id });
+  });
+};
+
+/**
+ * Returns the aggregated numbers of all operations since the start (or the last reset).
+ *
+ * @returns {Object} - `{ since, slowQueryThresholdMs, operations, slowQueries }`
+ */
+const getQueryStats = () => ({
+  since,
+  slowQueryThresholdMs: getSlowQueryThreshold(),
+  operations: [...stats.values()]
+    .map(({ totalMs, ...entry }) => ({
+      ...entry,
+      totalMs: Math.round(totalMs * 100) / 100,
+      avgMs: Math.round((totalMs / entry.count) * 100) / 100,
+      maxMs: Math.round(entry.maxMs * 100) / 100,
+    }))
+    .sort((a, b) => b.totalMs - a.totalMs),
+  slowQueries,
+});
+
+/**
+ * Forgets all numbers, e.g. to measure the effect of a new index.
+ */
+const resetQueryStats = () => {
+  stats = new Map();
+  slowQueries = [];
+  since = new Date();
+};
+
+module.exports = {
+  queryTiming,
+  getQueryStats,
+  resetQueryStats,
+};
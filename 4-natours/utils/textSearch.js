@@ -0,0 +1,170 @@
+const AppError = require('./appError');
+
+/**
+ * textSearch.js prepares the full-text search of MongoDB (`$text`) and highlights the results,
+ * see `searchTours` in the tour controller.
+ *
+ * The search string is passed to MongoDB as it is, which supports:
+ * - Words: `forest hiker` finds documents with any of the words, more matches rank higher.
+ * - Phrases: `"sea explorer"` only finds documents containing the exact phrase.
+ * - Negation: `-snow` or `-"city tour"` excludes documents containing the word or phrase.
+ * MongoDB ignores the case and matches words by their stem, e.g. `hiking` also finds `hike`.
+ *
+ * MongoDB doesn't tell which words matched, so the highlights are computed here with a simple
+ * approximation of the stemming (common suffixes are removed).
+ */
+
+const MAX_QUERY_LENGTH = 200;
+
+// Length of the highlighted snippet of a long field, e.g. the description
+const SNIPPET_LENGTH = 160;
+
+// Suffixes that are removed from the search words, so `hiking` also highlights `hike`
+const SUFFIXES = /(ing|ed|es|s|ly)$/;
+
+// Letters and digits in any language
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+/**
+ * Escapes the special characters of a regular expression, so user input is matched literally.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escapes text for HTML, the highlights are meant to be shown in the browser.
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Validates the search string and prepares the highlighting of its words and phrases.
+ *
+ * @param {String} q - The search string from `?q=`.
+ * @returns {Object} - `{ text, pattern }`, the search string for `$text` and a regular expression
+ *                     that matches the searched words and phrases (not the excluded ones).
+ * @throws {AppError} - 400 if the search string is missing, too long or only excludes words.
+ */
+const parseSearchQuery = (q) => {
+  if (typeof q !== 'string' || q.trim() === '') {
+    throw new AppError('Please provide something to search for with ?q=', 400);
+  }
+
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new AppError(
+      `The search can be at most ${MAX_QUERY_LENGTH} characters long`,
+      400
+    );
+  }
+
+  // Phrases in quotes, a `-` in front excludes them
+  const phrases = [...q.matchAll(/(-?)"([^"]*)"/g)]
+    .filter(([, negated, phrase]) => !negated && phrase.trim())
+    .map(([, , phrase]) => phrase.trim().split(/\s+/).map(escapeRegex).join('\\s+'));
+
+  // The remaining words, without the excluded ones and the punctuation around them
+  const words = q
+    .replace(/-?"[^"]*"?/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase())
+    .filter(Boolean)
+    .map((word) => {
+      const stem = word.length > 4 ? word.replace(SUFFIXES, '') : word;
+
+      // Very short words are only highlighted as whole words, not as the start of other words
+      return stem.length < 3
+        ? `${escapeRegex(word)}(?!${WORD_CHAR})`
+        : `${escapeRegex(stem)}${WORD_CHAR}*`;
+    });
+
+  // MongoDB finds nothing for a search that only excludes words
+  if (phrases.length === 0 && words.length === 0) {
+    throw new AppError('The search needs at least one word that is not excluded', 400);
+  }
+
+  // Phrases first, so they are highlighted as a whole and not word by word
+  const pattern = new RegExp(
+    `(?<!${WORD_CHAR})(?:${[...phrases, ...words].join('|')})`,
+    'giu'
+  );
+
+  return { text: q.trim(), pattern };
+};
+
+/**
+ * Returns a snippet of the text with the matches wrapped in `<mark>` tags. Long texts are cut
+ * to a snippet around the first match.
+ *
+ * @param {String} text - e.g. the description of a tour.
+ * @param {RegExp} pattern - From `parseSearchQuery`.
+ * @returns {String|null} - The HTML escaped snippet, or null if nothing matches.
+ */
+const highlightText = (text, pattern) => {
+  if (typeof text !== 'string') return null;
+
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    // Start a bit before the first match and don't cut words in half
+    const firstMatch = matches[0].index;
+    start = Math.max(0, firstMatch - SNIPPET_LENGTH / 4);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    const space = text.indexOf(' ', start);
+    if (start > 0 && space !== -1 && space < firstMatch) start = space + 1;
+
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && lastSpace > firstMatch) end = lastSpace;
+  }
+
+  let snippet = '';
+  let position = start;
+
+  matches
+    .filter((match) => match.index >= start && match.index + match[0].length <= end)
+    .forEach((match) => {
+      snippet += escapeHtml(text.slice(position, match.index));
+      snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+      position = match.index + match[0].length;
+    });
+
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Returns the highlighted snippets of the fields of a document that match the search.
+ *
+ * @param {Object} doc - The document, e.g. a tour.
+ * @param {String[]} fields - The searched fields, e.g. `['name', 'summary', 'description']`.
+ * @param {Object} search - From `parseSearchQuery`.
+ * @returns {Object} - e.g. `{ name: 'The <mark>Forest</mark> Hiker' }`, only the fields that
+ *                     match (and were selected).
+ */
+const getHighlights = (doc, fields, search) =>
+  Object.fromEntries(
+    fields
+      .map((field) => [field, highlightText(doc.get(field), search.pattern)])
+      .filter(([, snippet]) => snippet !== null)
+  );
+
+module.exports = {
+  parseSearchQuery,
+  getHighlights,
+};
@@ -0,0 +1,162 @@
+const crypto = require('node:crypto');
+
+/**
+ * Time-based One-Time Passwords (TOTP, RFC 6238) for two-factor authentication.
+ *
+ * This is the algorithm that authenticator apps (Google Authenticator, Authy, 1Password...) use.
+ * The server and the app share a secret. Every 30 seconds both calculate a 6 digit code from the
+ * secret and the current time, so the code proves that the user has the device with the secret.
+ *
+ * It is implemented here with node's crypto module, so no external service is needed.
+ */
+
+// Alphabet used to encode the secret for authenticator apps (RFC 4648)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// A new code every 30 seconds, with 6 digits (the defaults of all authenticator apps)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encodes a buffer as a base32 string (without padding).
+ *
+ * @param {Buffer} buffer
+ * @returns {String}
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return encoded;
+};
+
+/**
+ * Decodes a base32 string into a buffer. Spaces, padding and lower case letters are accepted.
+ *
+ * @param {String} encoded
+ * @returns {Buffer}
+ */
+const base32Decode = (encoded) => {
+  const cleaned = encoded.toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of cleaned) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random secret (160 bits, as recommended by RFC 4226), base32 encoded.
+ *
+ * @returns {String}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calculates the HOTP code (RFC 4226) for a counter value.
+ *
+ * @param {Buffer} key - The decoded secret.
+ * @param {number} counter - The counter value (for TOTP the number of 30 second steps).
+ * @returns {String} - The code, padded with zeros to 6 digits.
+ */
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+
+  // Dynamic truncation: the last 4 bits decide where the 4 bytes of the code are taken from
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Calculates the TOTP code of a secret at a certain time.
+ *
+ * @param {String} secret - The base32 encoded secret.
+ * @param {number} [time] - Time in milliseconds, defaults to now.
+ * @returns {String} - The 6 digit code.
+ */
+const generateToken = (secret, time = Date.now()) => {
+  return hotp(base32Decode(secret), Math.floor(time / 1000 / STEP_SECONDS));
+};
+
+/**
+ * Verifies a TOTP code.
+ * Codes of the previous and next step (`window` steps) are accepted as well, to allow for
+ * clocks that are slightly off and for the time it takes to type the code.
+ *
+ * @param {String} secret - The base32 encoded secret.
+ * @param {String} token - The code entered by the user.
+ * @param {Object} [options]
+ * @param {number} [options.window] - Number of steps before and after the current one to accept.
+ * @param {number} [options.time] - Time in milliseconds, defaults to now.
+ * @returns {number|null} - The step of the matching code, or null if the code is invalid.
+ *                          The step can be stored to reject the same code being used twice.
+ */
+const verifyToken = (secret, token, { window = 1, time = Date.now() } = {}) => {
+  if (typeof token !== 'string' || !/^\d{6}$/.test(token)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(time / 1000 / STEP_SECONDS);
+
+  for (let step = currentStep - window; step <= currentStep + window; step += 1) {
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(token))) return step;
+  }
+
+  return null;
+};
+
+/**
+ * Builds the `otpauth://` URI that authenticator apps read from a QR code.
+ *
+ * @param {Object} options
+ * @param {String} options.secret - The base32 encoded secret.
+ * @param {String} options.accountName - Shown in the app, usually the email of the user.
+ * @param {String} [options.issuer] - Shown in the app, the name of the application.
+ * @returns {String}
+ */
+const buildOtpauthURI = ({ secret, accountName, issuer = 'Natours' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  buildOtpauthURI,
+};